@@ -1,118 +1,80 @@
 /* ==========================================================
-   UTILIDADES: limpieza, regex y escapes
+   MÓDULOS
    ========================================================== */
 
-/**
- * cleanText(str)
- * -------------
- * Objetivo: "Campos limpios"
- * Antes de validar y guardar, normalizamos el texto:
- *  - Convertimos a string (por si viene null/undefined/número)
- *  - Quitamos espacios al inicio/fin (trim)
- *  - Convertimos múltiples espacios/tabs/saltos en 1 solo espacio
- *
- * ¿Por qué?
- *  - El usuario puede pegar texto con espacios raros
- *  - Evitamos que " Ana   López " falle por culpa de espacios
- *  - Homogeneiza los datos guardados ("calidad del dato")
- */
-function cleanText(str) {
-  return String(str)
-    .trim()                 // elimina espacios al inicio y al final
-    .replace(/\s+/g, " ");  // regex: \s = cualquier espacio (tab, salto, etc.), + = 1 o más
-                            //      g  = global (todas las ocurrencias)
-}
+// Motor de validación compartido con el servidor
+import { fieldValidators, isEmptyValue } from "./shared/validation.mjs";
 
-/**
- * escapeHtml(str)
- * --------------
- * Objetivo: "Escape de caracteres"
- * Convierte caracteres especiales a entidades HTML para que el navegador
- * NO los interprete como etiquetas/atributos HTML.
- *
- * EJEMPLO:
- *  Entrada:  <b>Hola</b>
- *  Salida:   &lt;b&gt;Hola&lt;/b&gt;
- *
- * ¿Cuándo usarlo?
- *  - Cuando vas a insertar texto del usuario dentro de un template HTML
- *    (por ejemplo usando innerHTML).
- *
- * IMPORTANTE:
- *  - Escape NO es sanitizar.
- *  - Escape: convierte TODO en texto (no permite HTML).
- *  - Sanitizar: permite "algo" de HTML pero elimina lo peligroso.
- */
-function escapeHtml(str) {
-  return String(str)
-    // El orden es importante:
-    // 1) & primero, para no "re-escapar" cosas ya escapadas.
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
-}
+// Definición del formulario (JSON del servidor) -> esquema de validación
+import { schemaFromForm, htmlFields } from "./shared/formSchema.mjs";
+
+// Mensajes traducidos (mismos catálogos que el servidor)
+import { t, negotiateLocale, SUPPORTED_LOCALES } from "./shared/i18n.mjs";
+
+// Markdown: marked servido desde /vendor + render compartido con el servidor
+import { marked } from "./vendor/marked/marked.esm.js";
+import { renderComment } from "./shared/markdown.mjs";
+
+// Política de sanitización compartida con el servidor
+import { COMMENT_POLICY, domPurifyConfig } from "./shared/sanitizePolicy.mjs";
+
+// Corpus de payloads XSS con la salida esperada (pestaña Lab)
+import { XSS_CORPUS } from "./shared/xssCorpus.mjs";
+
+// Avatar: magic bytes, tamaño y dimensiones (mismas comprobaciones que el servidor)
+import { AVATAR_LIMITS, checkAvatar } from "./shared/avatar.mjs";
+
+// Plantillas HTML que escapan solas (html``) y cómo pintarlas
+import { html, trusted, setHtml, appendHtml, escapeHtml } from "./safeHtml.mjs";
+
+// Valores con caducidad en localStorage / sessionStorage (inspector de Storage)
+import { unwrapTtl, setWithTtl, purgeExpired } from "./ttlStorage.mjs";
+
+// Cifrado opcional del perfil guardado en localStorage (WebCrypto)
+import {
+  PBKDF2_ITERATIONS,
+  deriveKey,
+  deviceKey,
+  randomSalt,
+  isEnvelope,
+  encryptJson,
+  decryptJson,
+  envelopeSalt,
+} from "./encryptedStorage.mjs";
 
 /* ==========================================================
-   VALIDACIÓN (cliente) con regex
+   IDIOMA de los mensajes
    ========================================================== */
 
 /**
- * nameRegex
- * ---------
- * /^[A-Za-zÁÉÍÓÚÜÑáéíóúüñ\s]{2,50}$/
- *
- * EXPLICACIÓN CARÁCTER A CARÁCTER:
- * ^   -> inicio de la cadena (no puede haber nada antes)
- * [...] -> conjunto de caracteres permitidos
- * A-Za-z -> letras (mayúsculas y minúsculas) sin acentos
- * ÁÉÍÓÚÜÑáéíóúüñ -> letras comunes en español con acentos + ñ
- * \s  -> whitespace (espacios, tabs, saltos de línea)
- * {2,50} -> longitud mínima 2, máxima 50, SOLO de esos caracteres permitidos
- * $   -> fin de la cadena (no puede haber nada después)
+ * currentLocale
+ * -------------
+ * 1) El elegido por el usuario (guardado en localStorage: no es sensible)
+ * 2) Si no, el del navegador (navigator.languages), igual que en el servidor
  *
- * EJEMPLOS:
- *  ok "Ana López"          (letras + espacio)
- *  ok "José"               (letras acentuadas)
- *  ko "Ana123"             (números no permitidos)
- *  ko "Ana<>"              (caracteres raros no permitidos)
- *  ko " A "                (limpieza + longitud puede dejarlo corto)
+ * Se envía al servidor en Accept-Language (ver api()), así sus
+ * errores llegan en el mismo idioma que los del cliente.
  */
-const nameRegex = /^[A-Za-zÁÉÍÓÚÜÑáéíóúüñ\s]{2,50}$/;
+let currentLocale = SUPPORTED_LOCALES.includes(localStorage.getItem("lang"))
+  ? localStorage.getItem("lang")
+  : negotiateLocale(navigator.languages.join(","));
 
-/**
- * emailRegex (demo)
- * -----------------
- * /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
- *
- * IMPORTANTE: es una regex "sencilla" para docencia.
- * Validar emails al 100% es más complejo (RFC), pero para clase está bien.
- *
- * EXPLICACIÓN:
- * ^ -> inicio
- * [^\s@]+ -> "uno o más" caracteres que NO sean:
- *            - \s (espacio)
- *            - @
- * @ -> debe existir un @
- * [^\s@]+ -> dominio (otra vez: caracteres que no sean espacios ni @)
- * \. -> un punto literal
- * [^\s@]{2,} -> extensión (min 2 chars): com, es, net...
- * $ -> fin
- *
- * EJEMPLOS:
- *  ok "ana@gmail.com"
- *  ok "user@mail.es"
- *  ko "ana@com"            (no hay .ext)
- *  ko "ana@@mail.com"      (doble @)
- *  ko "ana mail@gmail.com" (espacio)
- */
-const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+document.documentElement.lang = currentLocale;
+
+/* ==========================================================
+   VALIDACIÓN (cliente) con el esquema compartido
+   ========================================================== */
 
 /**
- * validateName(raw)
- * -----------------
- * Devuelve un objeto estándar:
+ * Las reglas (nameRegex, parseEmail...), la limpieza (cleanText)
+ * y los mensajes están en ./shared/validation.mjs.
+ * El servidor importa EXACTAMENTE el mismo módulo, así que
+ * cliente y servidor no pueden "desincronizarse".
+ *
+ * Los CAMPOS vienen de la definición del formulario que sirve
+ * el servidor (ver "FORMULARIO DINÁMICO" más abajo): de ella
+ * sale el esquema, y fieldValidators genera una función por
+ * campo que devuelve un objeto estándar:
  *  - ok: boolean (pasa o no pasa)
  *  - value: el texto ya limpio (para usarlo después)
  *  - msg: mensaje de error (si existe)
@@ -120,55 +82,10 @@ const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
  * Esto es muy útil porque:
  *  - el formulario puede mostrar errores fácilmente
  *  - el código queda consistente en todos los campos
- */
-function validateName(raw) {
-  // 1) Limpiamos primero: evitamos falsos negativos por espacios
-  const value = cleanText(raw);
-
-  // 2) Comprobaciones por orden:
-  //    a) obligatorio
-  if (!value) return { ok: false, value, msg: "El nombre es obligatorio." };
-
-  //    b) patrón (regex)
-  if (!nameRegex.test(value)) {
-    return { ok: false, value, msg: "Solo letras y espacios (2-50)." };
-  }
-
-  // 3) Si pasa todo:
-  return { ok: true, value, msg: "" };
-}
-
-/**
- * validateEmail(raw)
- * ------------------
- * Igual que validateName, pero:
- *  - normalizamos el email a minúsculas
- *    (porque en la práctica suele tratarse de forma case-insensitive)
- */
-function validateEmail(raw) {
-  const value = cleanText(raw).toLowerCase(); // normalización típica
-  if (!value) return { ok: false, value, msg: "El email es obligatorio." };
-  if (!emailRegex.test(value)) return { ok: false, value, msg: "Email no válido." };
-  return { ok: true, value, msg: "" };
-}
-
-/**
- * validateComment(raw)
- * --------------------
- * Comentario:
- * - Permitimos que el usuario escriba HTML (por ejemplo <b>, <p>, etc.)
- * - Pero NO confiamos en él → lo sanitizamos con DOMPurify ANTES de usar innerHTML.
  *
- * Aquí validamos solo:
- * - longitud (regla de negocio)
- *
- * La "seguridad" del HTML se delega a DOMPurify (sanitización).
+ * El comentario admite HTML: su "seguridad" NO es validación,
+ * se delega a DOMPurify (sanitización) antes de pintarlo (trusted()).
  */
-function validateComment(raw) {
-  const value = String(raw ?? ""); // si viene null/undefined → ""
-  if (value.length > 500) return { ok: false, value, msg: "Máximo 500 caracteres." };
-  return { ok: true, value, msg: "" };
-}
 
 /* ==========================================================
    UI / Tabs (interfaz de pestañas)
@@ -185,11 +102,6 @@ const $ = (sel) => document.querySelector(sel);
 const form = $("#profileForm");
 const btnReset = $("#btnReset");
 
-// Contenedores para mostrar mensajes de error por campo
-const errName = $("#errName");
-const errEmail = $("#errEmail");
-const errComment = $("#errComment");
-
 // Zonas donde se muestran resultados
 const safePreview = $("#safePreview");       // preview con HTML (sanitizado)
 const escapedPreview = $("#escapedPreview"); // preview literal (texto)
@@ -199,6 +111,8 @@ const tabs = document.querySelectorAll(".tab");
 const panelPreview = $("#panel-preview");
 const panelStorage = $("#panel-storage");
 const panelAuth = $("#panel-auth");
+const panelLab = $("#panel-lab");
+const panelComments = $("#panel-comments");
 
 /**
  * Al hacer clic en una pestaña:
@@ -211,12 +125,14 @@ tabs.forEach((t) => {
     tabs.forEach((x) => x.classList.remove("active"));
     t.classList.add("active");
 
-    const tab = t.dataset.tab; // "preview" | "storage" | "auth"
+    const tab = t.dataset.tab; // "preview" | "storage" | "auth" | "lab" | "comments"
 
     // toggle("hidden", condición) → si condición true, pone hidden
     panelPreview.classList.toggle("hidden", tab !== "preview");
     panelStorage.classList.toggle("hidden", tab !== "storage");
     panelAuth.classList.toggle("hidden", tab !== "auth");
+    panelLab.classList.toggle("hidden", tab !== "lab");
+    panelComments.classList.toggle("hidden", tab !== "comments");
   });
 });
 
@@ -232,132 +148,794 @@ tabs.forEach((t) => {
  * - elimina atributos peligrosos como onerror, onclick, etc.
  * - elimina URLs peligrosas tipo javascript:...
  *
- * Aquí aplicamos un enfoque de "lista permitida" (whitelist):
+ * Aplicamos un enfoque de "lista permitida" (whitelist):
  * - Solo permitimos un conjunto de etiquetas seguras
- * - Solo permitimos ciertos atributos
+ * - Solo ciertos atributos, y solo en su etiqueta (href solo en <a>)
+ * - Los enlaces siempre llevan rel="noopener noreferrer"
+ *
+ * La lista está en ./shared/sanitizePolicy.mjs y es la MISMA
+ * que usa sanitize-html en el servidor.
+ *
+ * Usamos una instancia propia de DOMPurify: la política añade hooks
+ * y no queremos que afecten a la policy de Trusted Types (más abajo).
+ * Las dos instancias comparten la policy "dompurify" (purifyPolicy).
  *
  * Esto es muy didáctico para explicar:
  *  - "No se trata de bloquear lo malo; se trata de permitir solo lo bueno"
  */
+/**
+ * Policy "dompurify" de Trusted Types
+ * -----------------------------------
+ * Cada instancia de DOMPurify crea su propia policy "dompurify" la
+ * primera vez que sanitiza. Con DOS instancias (la de comentarios y la
+ * global de la policy "default") la segunda choca con la CSP (nombre
+ * repetido), se queda sin policy y su parseo acaba pasando por la
+ * policy "default"... que vuelve a llamar a DOMPurify.
+ *
+ * Por eso la creamos UNA vez aquí y se la pasamos a las dos
+ * (TRUSTED_TYPES_POLICY). Deja pasar el HTML tal cual, igual que la
+ * que crea la librería: solo la usa DOMPurify para parsear en su
+ * documento inerte.
+ */
+const purifyPolicy = window.trustedTypes && trustedTypes.createPolicy
+  ? trustedTypes.createPolicy("dompurify", {
+      createHTML: (html) => html,
+      createScriptURL: (url) => url,
+    })
+  : { createHTML: (html) => html, createScriptURL: (url) => url };
+
+const commentPurifier = DOMPurify(window);
+const commentPurifyConfig = {
+  ...domPurifyConfig(commentPurifier, COMMENT_POLICY),
+  TRUSTED_TYPES_POLICY: purifyPolicy,
+};
+
 function sanitizeUserHtml(dirtyHtml) {
-  return DOMPurify.sanitize(dirtyHtml, {
-    // Etiquetas permitidas (formato)
-    ALLOWED_TAGS: [
-      "b", "i", "em", "strong", "u",
-      "p", "br",
-      "ul", "ol", "li",
-      "code", "pre",
-      "a"
-    ],
-
-    // Atributos permitidos (y solo esos)
-    ALLOWED_ATTR: ["href", "target", "rel"],
-
-    // Nota:
-    // - Si el usuario mete <img onerror=...> se elimina la etiqueta o el atributo.
-    // - DOMPurify por defecto ya es estricto, pero esta lista lo hace más controlado.
+  // Nota: si el usuario mete <img onerror=...> se elimina la etiqueta entera.
+  return commentPurifier.sanitize(dirtyHtml, commentPurifyConfig);
+}
+
+/**
+ * Trusted Types (CSP: require-trusted-types-for 'script')
+ * -------------------------------------------------------
+ * En navegadores que lo soportan, innerHTML NO acepta strings sueltos:
+ * solo "TrustedHTML" creado por una policy.
+ *
+ * La policy "default" se aplica automáticamente a cualquier string
+ * que llegue a innerHTML / insertAdjacentHTML y lo pasa por DOMPurify.
+ * Es una red de seguridad: si olvidamos sanitizar, se sanitiza aquí.
+ *
+ * Lo que pintamos nosotros va con setHtml / appendHtml (./safeHtml.mjs),
+ * que usan su propia policy ("safe-html") y solo aceptan html`` / trusted().
+ */
+if (window.trustedTypes && trustedTypes.createPolicy) {
+  trustedTypes.createPolicy("default", {
+    createHTML: (html) => DOMPurify.sanitize(html, { TRUSTED_TYPES_POLICY: purifyPolicy }),
   });
 }
 
 /* ==========================================================
-   STORAGE: localStorage / sessionStorage (NO datos sensibles)
+   STORAGE: localStorage / sessionStorage / cookies (NO datos sensibles)
    ========================================================== */
 
-const storageDump = $("#storageDump");
+const storageSummary = $("#storageSummary");
+const storageBody = $("#storageBody");
+const storageAddForm = $("#storageAddForm");
 const btnLoadLocal = $("#btnLoadLocal");
 const btnLoadSession = $("#btnLoadSession");
+const btnLoadCookies = $("#btnLoadCookies");
 const btnClearStorage = $("#btnClearStorage");
 
+/**
+ * Almacenes que puede ver el inspector. Todos exponen lo mismo:
+ *  - entries(): [{ key, raw, size }]  (lee y PURGA lo caducado)
+ *  - set(key, value, ttlSeconds)       (ttl opcional)
+ *  - remove(key)
+ *
+ * Tamaño:
+ *  - localStorage / sessionStorage: la cuota cuenta caracteres
+ *    UTF-16 -> (clave + valor) * 2 bytes
+ *  - cookies: bytes de "nombre=valor" tal como viajan al servidor
+ */
+function webStorageArea(label, storage) {
+  return {
+    label,
+    entries() {
+      purgeExpired(storage);
+      return Array.from({ length: storage.length }, (_, i) => storage.key(i))
+        .sort()
+        .map((key) => {
+          const raw = storage.getItem(key);
+          return { key, raw, size: (key.length + raw.length) * 2 };
+        });
+    },
+    set(key, value, ttlSeconds) {
+      if (ttlSeconds) setWithTtl(storage, key, value, ttlSeconds * 1000);
+      else storage.setItem(key, value);
+    },
+    remove(key) {
+      storage.removeItem(key);
+    },
+  };
+}
+
+function decodeCookiePart(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+const cookieArea = {
+  label: "cookies",
+  // Las cookies caducadas ya las borra el navegador (max-age)
+  entries() {
+    return document.cookie
+      .split(";")
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const eq = pair.indexOf("=");
+        const name = eq === -1 ? "" : pair.slice(0, eq);
+        const value = eq === -1 ? pair : pair.slice(eq + 1);
+        return {
+          key: decodeCookiePart(name),
+          raw: decodeCookiePart(value),
+          size: new TextEncoder().encode(pair).length,
+        };
+      });
+  },
+  set(key, value, ttlSeconds) {
+    const maxAge = ttlSeconds ? `; max-age=${ttlSeconds}` : "";
+    document.cookie =
+      `${encodeURIComponent(key)}=${encodeURIComponent(value)}; path=/; SameSite=Lax${maxAge}`;
+  },
+  remove(key) {
+    document.cookie = `${encodeURIComponent(key)}=; path=/; max-age=0`;
+  },
+};
+
+const STORAGE_AREAS = {
+  local: webStorageArea("localStorage", localStorage),
+  session: webStorageArea("sessionStorage", sessionStorage),
+  cookies: cookieArea,
+};
+
+// Almacén que se está mostrando
+let storageArea = "local";
+
+/**
+ * describeValue(raw)
+ * ------------------
+ * Detecta el tipo del valor (siempre llega como texto) y
+ * lo prepara para mostrarlo:
+ *  - type:      "JSON objeto", "número", "cifrado (AES-GCM)"...
+ *  - pretty:    JSON con sangría, o el texto tal cual
+ *  - expiresAt: fecha de caducidad si está envuelto con TTL
+ */
+function describeValue(raw) {
+  const ttl = unwrapTtl(raw);
+  if (ttl) {
+    const inner = describeValue(ttl.value);
+    return { ...inner, type: `${inner.type} + TTL`, expiresAt: ttl.expiresAt };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return { type: "texto", pretty: raw };
+  }
+
+  const pretty = JSON.stringify(parsed, null, 2);
+  if (isEnvelope(parsed)) return { type: "cifrado (AES-GCM)", pretty };
+  if (Array.isArray(parsed)) return { type: "JSON array", pretty };
+  if (parsed === null) return { type: "null", pretty };
+
+  const types = { object: "JSON objeto", number: "número", boolean: "booleano", string: "texto (JSON)" };
+  return { type: types[typeof parsed], pretty };
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Elemento con texto (como cell() del Lab, pero de cualquier etiqueta)
+function element(tag, text, className) {
+  const el = document.createElement(tag);
+  if (text !== undefined) el.textContent = text;
+  if (className) el.className = className;
+  return el;
+}
+
+function button(text, className, onClick) {
+  const el = element("button", text, className);
+  el.type = "button";
+  el.addEventListener("click", onClick);
+  return el;
+}
+
+/**
+ * editRow(tr, entry, info)
+ * ------------------------
+ * Sustituye la celda del valor por un textarea (edición en línea).
+ * Si el valor tenía TTL, se propone el tiempo que le queda.
+ */
+function editRow(tr, entry, info) {
+  const area = STORAGE_AREAS[storageArea];
+  const valueCell = tr.children[3];
+  const actionsCell = tr.children[4];
+
+  const textarea = element("textarea");
+  textarea.rows = 4;
+  textarea.value = info.expiresAt ? unwrapTtl(entry.raw).value : entry.raw;
+  textarea.setAttribute("aria-label", `Valor de ${entry.key}`);
+
+  const ttlInput = element("input");
+  ttlInput.type = "number";
+  ttlInput.min = "1";
+  ttlInput.placeholder = "TTL (s)";
+  ttlInput.setAttribute("aria-label", `TTL de ${entry.key} en segundos`);
+  if (info.expiresAt) {
+    ttlInput.value = String(Math.max(1, Math.round((info.expiresAt - Date.now()) / 1000)));
+  }
+
+  valueCell.replaceChildren(textarea, ttlInput);
+  actionsCell.replaceChildren(
+    button("Guardar", "secondary", () => {
+      area.set(entry.key, textarea.value, Number(ttlInput.value) || 0);
+      dumpStorage();
+    }),
+    button("Cancelar", "", dumpStorage)
+  );
+  textarea.focus();
+}
+
+function storageRow(entry) {
+  const info = describeValue(entry.raw);
+  const tr = document.createElement("tr");
+
+  const typeCell = cell(info.type);
+  if (info.expiresAt) {
+    typeCell.append(element("div", `caduca: ${new Date(info.expiresAt).toLocaleString(currentLocale)}`, "muted"));
+  }
+
+  const valueCell = element("td");
+  valueCell.append(element("pre", info.pretty));
+
+  const actionsCell = element("td");
+  actionsCell.append(
+    button("Editar", "secondary", () => editRow(tr, entry, info)),
+    button("Borrar", "danger", () => {
+      STORAGE_AREAS[storageArea].remove(entry.key);
+      dumpStorage();
+    })
+  );
+
+  tr.append(codeCell(entry.key), typeCell, cell(formatBytes(entry.size)), valueCell, actionsCell);
+  return tr;
+}
+
 /**
  * dumpStorage()
  * -------------
- * Muestra en pantalla lo que hay guardado:
+ * Inspector del almacén elegido (storageArea): TODAS sus claves,
+ * con tipo, tamaño y valor. Los datos se pintan con textContent
+ * (son datos del usuario: nunca como HTML).
  * - localStorage: persistente (permanece al cerrar navegador)
  * - sessionStorage: dura mientras la pestaña esté abierta
+ * - cookies: solo las que NO son httpOnly
  *
  * NOTA de seguridad:
  * - No guardar tokens o contraseñas aquí, porque si hay XSS, se roban.
  */
 function dumpStorage() {
-  // Recuperamos un objeto JSON desde localStorage
-  const local = {
-    profile: JSON.parse(localStorage.getItem("profile") || "null"),
-  };
+  const area = STORAGE_AREAS[storageArea];
+  const entries = area.entries();
+  const total = entries.reduce((sum, e) => sum + e.size, 0);
 
-  // Recuperamos un string simple desde sessionStorage
-  const session = {
-    draftComment: sessionStorage.getItem("draftComment") || null,
-  };
+  storageBody.replaceChildren(...entries.map(storageRow));
+  storageSummary.textContent =
+    `${area.label}: ${entries.length} entradas, ${formatBytes(total)}. ` +
+    "No guardes tokens/contraseñas en storage (riesgo XSS).";
+
+  renderStorageCrypto().catch(storageCryptoError);
+}
 
-  // Mostramos todo en un <pre> de forma legible
-  storageDump.textContent =
-    "localStorage:\n" + JSON.stringify(local, null, 2) +
-    "\n\nsessionStorage:\n" + JSON.stringify(session, null, 2) +
-    "\n\nNOTA: No guardes tokens/contraseñas en storage (riesgo XSS).";
+function showStorageArea(name) {
+  storageArea = name;
+  dumpStorage();
 }
 
-btnLoadLocal.addEventListener("click", dumpStorage);
-btnLoadSession.addEventListener("click", dumpStorage);
+btnLoadLocal.addEventListener("click", () => showStorageArea("local"));
+btnLoadSession.addEventListener("click", () => showStorageArea("session"));
+btnLoadCookies.addEventListener("click", () => showStorageArea("cookies"));
+
+storageAddForm.addEventListener("submit", (ev) => {
+  ev.preventDefault();
+  const key = $("#storageNewKey").value.trim();
+  if (!key) return;
+
+  STORAGE_AREAS[storageArea].set(
+    key,
+    $("#storageNewValue").value,
+    Number($("#storageNewTtl").value) || 0
+  );
+  storageAddForm.reset();
+  dumpStorage();
+});
+
+/**
+ * Claves del borrador automático (ver "BORRADOR AUTOMÁTICO").
+ * Van aquí arriba porque "Borrar Storage" las usa y su botón ya
+ * funciona mientras se descarga la definición del formulario
+ * (el await de loadFormDefinition): declaradas más abajo darían
+ * ReferenceError al pulsarlo en ese momento.
+ */
+const DRAFT_KEY = "profileDraft";
+const DRAFT_ACTIVITY_KEY = "profileDraftActivity";
 
 btnClearStorage.addEventListener("click", () => {
   localStorage.removeItem("profile");
-  sessionStorage.removeItem("draftComment");
+  localStorage.removeItem(DRAFT_ACTIVITY_KEY);
+  sessionStorage.removeItem(DRAFT_KEY);
   dumpStorage();
 });
 
+/* ==========================================================
+   STORAGE CIFRADO (opcional): AES-GCM con WebCrypto
+   ========================================================== */
+
+/**
+ * Modos para guardar el perfil en localStorage:
+ *  - plain:      JSON en claro (como siempre)
+ *  - passphrase: cifrado con una clave derivada de una frase (PBKDF2)
+ *  - device:     cifrado con una clave no extraíble en IndexedDB
+ *
+ * Ver ./encryptedStorage.mjs. El modo elegido se recuerda;
+ * la passphrase NUNCA se guarda (solo la clave, en memoria).
+ */
+const PROFILE_KEY = "profile";
+const STORAGE_MODE_KEY = "storageMode";
+const STORAGE_MODES = ["plain", "passphrase", "device"];
+
+let storageMode = STORAGE_MODES.includes(localStorage.getItem(STORAGE_MODE_KEY))
+  ? localStorage.getItem(STORAGE_MODE_KEY)
+  : "plain";
+
+// Clave derivada de la passphrase: { key, salt, iterations } o null
+let passphraseKey = null;
+
+const storageModeSelect = $("#storageMode");
+const storagePassphrase = $("#storagePassphrase");
+const btnStorageUnlock = $("#btnStorageUnlock");
+const btnStorageMigrate = $("#btnStorageMigrate");
+const storageCryptoStatus = $("#storageCryptoStatus");
+const storageCipher = $("#storageCipher");
+const storagePlain = $("#storagePlain");
+
+function readStoredProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * keyForWriting()
+ * ---------------
+ * Clave del modo actual, o null si no hay (modo plain, o
+ * passphrase todavía sin introducir).
+ */
+async function keyForWriting() {
+  if (storageMode === "device") {
+    return { key: await deviceKey(), keySource: "device" };
+  }
+  if (storageMode === "passphrase" && passphraseKey) {
+    return { ...passphraseKey, keySource: "passphrase" };
+  }
+  return null;
+}
+
+/**
+ * keyForEnvelope(envelope)
+ * ------------------------
+ * Clave con la que se cifró ESE sobre (puede no ser la del modo
+ * actual), o null si no la tenemos.
+ */
+async function keyForEnvelope(envelope) {
+  if (envelope.keySource === "device") return deviceKey({ create: false });
+
+  const sameSalt = passphraseKey &&
+    envelopeSalt(envelope).salt.join() === passphraseKey.salt.join();
+  return sameSalt ? passphraseKey.key : null;
+}
+
+/**
+ * writeProfile(profile)
+ * ---------------------
+ * Guarda el perfil según el modo. Devuelve:
+ *  "plain" | "encrypted" | "locked" (falta la passphrase: NO se guarda)
+ */
+async function writeProfile(profile) {
+  if (storageMode === "plain") {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    return "plain";
+  }
+
+  const keyInfo = await keyForWriting();
+  if (!keyInfo) return "locked";
+
+  const envelope = await encryptJson(profile, { ...keyInfo, label: PROFILE_KEY });
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(envelope));
+  return "encrypted";
+}
+
+/**
+ * renderStorageCrypto()
+ * ---------------------
+ * Muestra, lado a lado, lo que REALMENTE hay en localStorage
+ * (el sobre cifrado) y el perfil descifrado (si tenemos la clave).
+ */
+async function renderStorageCrypto() {
+  const stored = readStoredProfile();
+  storageCipher.textContent = localStorage.getItem(PROFILE_KEY) ?? "(vacío)";
+
+  if (!stored) {
+    storagePlain.textContent = "(vacío)";
+  } else if (!isEnvelope(stored)) {
+    storagePlain.textContent =
+      JSON.stringify(stored, null, 2) + "\n\n(¡está en claro! ver \"Cifrar perfil en claro\")";
+  } else {
+    const key = await keyForEnvelope(stored);
+    if (!key) {
+      storagePlain.textContent = stored.keySource === "passphrase"
+        ? "(bloqueado: introduce la passphrase)"
+        : "(no hay clave de dispositivo en este navegador)";
+    } else {
+      try {
+        storagePlain.textContent =
+          JSON.stringify(await decryptJson(stored, key, PROFILE_KEY), null, 2);
+      } catch {
+        storagePlain.textContent = "(no se puede descifrar: clave incorrecta o datos modificados)";
+      }
+    }
+  }
+
+  btnStorageMigrate.disabled = !stored || isEnvelope(stored) || storageMode === "plain";
+}
+
+function showStorageMode() {
+  storageModeSelect.value = storageMode;
+  const usesPassphrase = storageMode === "passphrase";
+  storagePassphrase.classList.toggle("hidden", !usesPassphrase);
+  btnStorageUnlock.classList.toggle("hidden", !usesPassphrase);
+}
+
+function storageCryptoError(err) {
+  storageCryptoStatus.textContent = `Error de cifrado: ${err.message}`;
+}
+
+storageModeSelect.addEventListener("change", () => {
+  storageMode = storageModeSelect.value;
+  localStorage.setItem(STORAGE_MODE_KEY, storageMode);
+  showStorageMode();
+
+  storageCryptoStatus.textContent = {
+    plain: "Modo sin cifrar: el próximo perfil se guardará en claro.",
+    passphrase: "Introduce una passphrase para cifrar (no se guarda en ningún sitio).",
+    device: "Se usará una clave no extraíble guardada en IndexedDB.",
+  }[storageMode];
+  renderStorageCrypto().catch(storageCryptoError);
+});
+
+/**
+ * Desbloquear con passphrase:
+ * - si ya hay un perfil cifrado con passphrase, se deriva la clave
+ *   con SU sal y se comprueba que lo descifra (si no, es incorrecta)
+ * - si no, se crea una sal nueva para los próximos cifrados
+ */
+btnStorageUnlock.addEventListener("click", async () => {
+  const passphrase = storagePassphrase.value;
+  if (passphrase.length < 8) {
+    storageCryptoStatus.textContent = "La passphrase debe tener al menos 8 caracteres.";
+    return;
+  }
+
+  storageCryptoStatus.textContent = "Derivando la clave (PBKDF2)...";
+  try {
+    const stored = readStoredProfile();
+    const existing = isEnvelope(stored) && stored.keySource === "passphrase";
+    const { salt, iterations } = existing
+      ? envelopeSalt(stored)
+      : { salt: randomSalt(), iterations: PBKDF2_ITERATIONS };
+    const key = await deriveKey(passphrase, salt, iterations);
+
+    if (existing) {
+      try {
+        await decryptJson(stored, key, PROFILE_KEY);
+      } catch {
+        storageCryptoStatus.textContent = "Passphrase incorrecta.";
+        return;
+      }
+    }
+
+    passphraseKey = { key, salt, iterations };
+    storagePassphrase.value = "";
+    storageCryptoStatus.textContent = existing
+      ? "Desbloqueado: el perfil cifrado se puede leer."
+      : "Passphrase lista: los próximos perfiles se guardarán cifrados.";
+    await renderStorageCrypto();
+  } catch (err) {
+    storageCryptoError(err);
+  }
+});
+
+/**
+ * MIGRACIÓN: un perfil guardado en claro (de antes de activar
+ * el cifrado) se vuelve a guardar cifrado con el modo actual.
+ */
+btnStorageMigrate.addEventListener("click", async () => {
+  const stored = readStoredProfile();
+  if (!stored || isEnvelope(stored)) return;
+
+  try {
+    const result = await writeProfile(stored);
+    storageCryptoStatus.textContent = result === "locked"
+      ? "Primero introduce la passphrase."
+      : "Perfil migrado: ahora está cifrado.";
+    dumpStorage();
+  } catch (err) {
+    storageCryptoError(err);
+  }
+});
+
+showStorageMode();
+
 /* ==========================================================
    COOKIES httpOnly (solo servidor) + FETCH con credenciales
    ========================================================== */
 
 const authDump = $("#authDump");
 const btnLogin = $("#btnLogin");
+const btnRegister = $("#btnRegister");
 const btnWhoAmI = $("#btnWhoAmI");
 const btnLogout = $("#btnLogout");
 
+/**
+ * Token CSRF
+ * ----------
+ * El servidor exige la cabecera X-CSRF-Token en toda petición
+ * que cambia estado (POST, PUT, PATCH, DELETE).
+ * Lo pedimos una vez a /api/csrf-token y lo guardamos EN MEMORIA
+ * (no en storage: no hace falta que sobreviva a una recarga).
+ */
+let csrfToken = null;
+
+async function getCsrfToken(forceRefresh = false) {
+  if (!csrfToken || forceRefresh) {
+    const res = await fetch("/api/csrf-token", { credentials: "include" });
+    csrfToken = (await res.json()).csrfToken;
+  }
+  return csrfToken;
+}
+
+/**
+ * ERRORES TIPADOS DE LA API
+ * -------------------------
+ * El servidor responde SIEMPRE los errores con el mismo formato:
+ *   { ok: false, error: { code, message, details, requestId } }
+ *
+ * api() lo convierte en una excepción de una clase según el status,
+ * para poder distinguirlos con instanceof:
+ *   catch (e) { if (e instanceof RateLimitError) ... }
+ *
+ * NetworkError: no hubo respuesta (servidor caído, CORS...)
+ * o la respuesta no era JSON.
+ */
+class ApiError extends Error {
+  constructor({ status = 0, code = "", message = "", details = null, requestId = null } = {}) {
+    super(message || code);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.requestId = requestId;
+  }
+
+  // { campo: mensaje } de los errores por campo (o {} si no hay)
+  get fieldMessages() {
+    return Object.fromEntries(
+      Object.entries(this.details?.fields ?? {}).map(([field, f]) => [field, f.message])
+    );
+  }
+}
+
+class NetworkError extends ApiError {}
+class BadRequestError extends ApiError {}            // 400
+class AuthError extends ApiError {}                  // 401
+class ForbiddenError extends ApiError {}             // 403 (CSRF, CORS)
+class NotFoundError extends ApiError {}              // 404
+class ConflictError extends ApiError {}              // 409
+class PayloadTooLargeError extends ApiError {}       // 413
+class UnsupportedMediaTypeError extends ApiError {}  // 415
+class RateLimitError extends ApiError {              // 429
+  get retryAfterSeconds() {
+    return this.details?.retryAfterSeconds ?? null;
+  }
+}
+class ServerError extends ApiError {}                // 5xx
+
+const API_ERROR_TYPES = {
+  400: BadRequestError,
+  401: AuthError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  413: PayloadTooLargeError,
+  415: UnsupportedMediaTypeError,
+  429: RateLimitError,
+};
+
+function toApiError(status, body) {
+  const ErrorType = API_ERROR_TYPES[status] ?? (status >= 500 ? ServerError : ApiError);
+  return new ErrorType({ status, ...(body?.error ?? {}) });
+}
+
 /**
  * api(path, options)
  * ------------------
  * Wrapper de fetch para:
  *  - enviar/recibir JSON cómodamente
  *  - incluir cookies (credentials: "include")
+ *  - adjuntar el token CSRF en peticiones que no son GET
  *
  * IMPORTANTE:
  * - credentials: "include" hace que el navegador envíe cookies al servidor
  * - Para que esto funcione en CORS, el backend debe permitir credentials
  *   y NO puede usar Access-Control-Allow-Origin: *
  */
-async function api(path, options = {}) {
-  const res = await fetch(path, {
-    ...options,
-    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
-    credentials: "include", // <- clave para cookies httpOnly
-  });
+async function api(path, options = {}, retried = false) {
+  const method = (options.method || "GET").toUpperCase();
+  const headers = {
+    // Con FormData (subida de ficheros) el navegador pone multipart + boundary
+    ...(options.body instanceof FormData ? {} : { "Content-Type": "application/json" }),
+    "Accept-Language": currentLocale, // idioma de los mensajes de error
+    ...(options.headers || {}),
+  };
+
+  if (method !== "GET" && method !== "HEAD") {
+    headers["X-CSRF-Token"] = await getCsrfToken(retried);
+  }
+
+  let res;
+  try {
+    res = await fetch(path, {
+      ...options,
+      headers,
+      credentials: "include", // <- clave para cookies httpOnly
+    });
+  } catch (err) {
+    throw new NetworkError({ code: "network", message: err.message });
+  }
+
+  // Una respuesta sin cuerpo (204) o que no es JSON
+  const data = res.status === 204 ? {} : await res.json().catch(() => null);
+  if (data === null) {
+    throw new NetworkError({
+      status: res.status,
+      code: "network.notJson",
+      message: `Respuesta no JSON (HTTP ${res.status})`,
+      requestId: res.headers.get("X-Request-Id"),
+    });
+  }
+
+  if (res.ok) return data;
+
+  const error = toApiError(res.status, data);
+
+  // Token caducado (p. ej. el servidor se reinició): pedimos otro y reintentamos UNA vez
+  if (error.code === "csrf.invalid" && !retried) {
+    return api(path, options, true);
+  }
+
+  // 429: la cabecera Retry-After manda (por si un proxy la cambia)
+  if (error instanceof RateLimitError) {
+    error.details = {
+      ...error.details,
+      retryAfterSeconds: Number(res.headers.get("Retry-After")) || error.retryAfterSeconds,
+    };
+  }
+
+  throw error;
+}
+
+/**
+ * formatApiError(e)
+ * -----------------
+ * Texto para mostrar un error de api() en los paneles:
+ *   RateLimitError (429 rateLimit.tooMany)
+ *   Demasiadas peticiones. Reintenta en 30 s.
+ *   - email: ...                      <- errores por campo
+ *   requestId: 3f0c...                <- para buscarlo en los logs
+ */
+function formatApiError(e) {
+  if (!(e instanceof ApiError)) return `Error:\n${e?.message ?? e}`;
 
-  // Intentamos parsear JSON aunque haya errores
-  const data = await res.json().catch(() => ({ error: "Respuesta no JSON" }));
+  const lines = [`${e.name} (${e.status || "-"} ${e.code})`, e.message];
+  for (const [field, message] of Object.entries(e.fieldMessages)) {
+    lines.push(`- ${field}: ${message}`);
+  }
+  if (e.requestId) lines.push(`requestId: ${e.requestId}`);
+  return lines.join("\n");
+}
+
+/**
+ * Credenciales del panel de autenticación
+ * - Leemos email y contraseña (la contraseña NO se guarda en ningún sitio)
+ * - Los errores por campo llegan en error.details.fields (e.fieldMessages)
+ */
+const authEmail = $("#authEmail");
+const authPassword = $("#authPassword");
+const errAuthEmail = $("#errAuthEmail");
+const errAuthPassword = $("#errAuthPassword");
 
-  // Si el status HTTP no es 2xx → lanzamos error con el JSON recibido
-  if (!res.ok) throw data;
+function readCredentials() {
+  return {
+    email: authEmail.value,
+    password: authPassword.value,
+  };
+}
 
-  return data;
+function showAuthErrors(errors = {}) {
+  errAuthEmail.textContent = errors.email || "";
+  errAuthPassword.textContent = errors.password || "";
 }
 
 /**
  * Login:
- * - Llama a /api/login
+ * - Llama a /api/login con email y contraseña
  * - El servidor crea cookie httpOnly
  * - JS NO puede leerla (document.cookie no la verá),
  *   pero el navegador sí la enviará en siguientes requests.
  */
 btnLogin.addEventListener("click", async () => {
   authDump.textContent = "Haciendo login...";
+  showAuthErrors();
   try {
-    const data = await api("/api/login", { method: "POST" });
+    const data = await api("/api/login", {
+      method: "POST",
+      body: JSON.stringify(readCredentials()),
+    });
+    authPassword.value = "";
     authDump.textContent =
       JSON.stringify(data, null, 2) +
       "\n\n(La cookie httpOnly se ha guardado, pero JS no puede leerla.)";
   } catch (e) {
-    authDump.textContent = "Error:\n" + JSON.stringify(e, null, 2);
+    showAuthErrors(e.fieldMessages);
+    authDump.textContent = formatApiError(e);
+  }
+});
+
+/**
+ * Registro:
+ * - Llama a /api/register
+ * - El servidor aplica la política de contraseñas y guarda el hash
+ */
+btnRegister.addEventListener("click", async () => {
+  authDump.textContent = "Registrando...";
+  showAuthErrors();
+  try {
+    const data = await api("/api/register", {
+      method: "POST",
+      body: JSON.stringify(readCredentials()),
+    });
+    authDump.textContent = JSON.stringify(data, null, 2);
+  } catch (e) {
+    showAuthErrors(e.fieldMessages);
+    authDump.textContent = formatApiError(e);
   }
 });
 
@@ -367,7 +945,7 @@ btnWhoAmI.addEventListener("click", async () => {
     const data = await api("/api/whoami");
     authDump.textContent = JSON.stringify(data, null, 2);
   } catch (e) {
-    authDump.textContent = "Error:\n" + JSON.stringify(e, null, 2);
+    authDump.textContent = formatApiError(e);
   }
 });
 
@@ -377,116 +955,1020 @@ btnLogout.addEventListener("click", async () => {
     const data = await api("/api/logout", { method: "POST" });
     authDump.textContent = JSON.stringify(data, null, 2);
   } catch (e) {
-    authDump.textContent = "Error:\n" + JSON.stringify(e, null, 2);
+    authDump.textContent = formatApiError(e);
   }
 });
 
 /* ==========================================================
-   FORM: validación + sanitización + almacenamiento + envío
+   FORMULARIO DINÁMICO (GET /api/form-schema)
    ========================================================== */
 
-form.addEventListener("submit", async (ev) => {
-  ev.preventDefault(); // evita que la página recargue (comportamiento por defecto)
-
-  /* 1) LEER VALORES CRUDOS (RAW)
-     - Los valores vienen del input tal cual los escribió el usuario
-  */
-  const rawName = $("#name").value;
-  const rawEmail = $("#email").value;
-  const rawComment = $("#comment").value;
+/**
+ * Los campos del perfil se construyen a partir de la definición
+ * JSON que sirve el servidor (server/profile-form.json).
+ * El servidor valida /api/profile con esa MISMA definición.
+ *
+ * Todo se crea con createElement + textContent: las etiquetas y
+ * textos de la definición nunca se interpretan como HTML.
+ */
+const profileFieldsBox = $("#profileFields");
+
+/*
+  Quita el "Cargando formulario…" en los dos casos: vacío si la
+  definición llega (los campos se añaden después) o con el error
+  si falla (y entonces no se añade ningún campo que lo tape).
+*/
+async function loadFormDefinition() {
+  try {
+    const { form: definition } = await api("/api/form-schema");
+    profileFieldsBox.replaceChildren();
+    return definition;
+  } catch (e) {
+    const error = document.createElement("pre");
+    error.className = "error";
+    error.textContent = `No se ha podido cargar el formulario:\n${formatApiError(e)}`;
+    profileFieldsBox.replaceChildren(error);
+    return { fields: [] };
+  } finally {
+    profileFieldsBox.removeAttribute("aria-busy");
+  }
+}
+
+const formDefinition = await loadFormDefinition();
+const validators = fieldValidators(schemaFromForm(formDefinition), () => currentLocale);
+
+// Campos html (el comentario): se previsualizan sanitizados
+const richFieldNames = new Set(htmlFields(formDefinition).map((def) => def.name));
+
+/**
+ * Control de cada tipo de campo:
+ *  text, email, url, date -> <input type="...">
+ *  textarea               -> <textarea>
+ *  select                 -> <select> con sus <option>
+ *  checkbox               -> <input type="checkbox"> dentro del label
+ */
+function createControl(def) {
+  if (def.type === "textarea") {
+    const textarea = document.createElement("textarea");
+    textarea.rows = def.rows ?? 4;
+    return textarea;
+  }
+
+  if (def.type === "select") {
+    const select = document.createElement("select");
+    for (const { value, label } of def.options) {
+      const option = new Option(label, value);
+      // defaultSelected: form.reset() vuelve a esta opción
+      option.defaultSelected = value === (def.default ?? def.options[0].value);
+      select.append(option);
+    }
+    return select;
+  }
+
+  const input = document.createElement("input");
+  input.type = def.type;
+  if (def.type === "checkbox") input.defaultChecked = def.default === true;
+  else if (def.default !== undefined) input.defaultValue = def.default;
+  return input;
+}
+
+/**
+ * buildField(def)
+ * ---------------
+ * Crea el bloque de un campo (label, control, pista, contador
+ * y contenedor de error) y devuelve:
+ *   { def, input, error, counter, validate, getValue, setValue }
+ *
+ * El control lleva aria-describedby con la pista, el contador y
+ * el error: el lector de pantalla los lee al enfocar el campo.
+ */
+function buildField(def) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "field";
+
+  const input = createControl(def);
+  input.id = def.name;
+  input.name = def.name;
+  if (def.placeholder) input.placeholder = def.placeholder;
+  if (def.autocomplete) input.autocomplete = def.autocomplete;
+  if (def.rules?.required) input.setAttribute("aria-required", "true");
+
+  const label = document.createElement("label");
+  label.htmlFor = def.name;
+  if (def.type === "checkbox") {
+    label.className = "check";
+    label.append(input, document.createTextNode(def.label));
+    wrapper.append(label);
+  } else {
+    label.textContent = def.label;
+    wrapper.append(label, input);
+  }
+
+  const describedBy = [];
+  const small = (id, className, text = "") => {
+    const el = document.createElement("small");
+    el.id = id;
+    el.className = className;
+    el.textContent = text;
+    describedBy.push(id);
+    wrapper.append(el);
+    return el;
+  };
+
+  if (def.hint) small(`${def.name}Hint`, "hint", def.hint);
+
+  const counter = def.counter && def.rules?.maxLength
+    ? small(`${def.name}Counter`, "hint counter")
+    : null;
+  counter?.setAttribute("aria-live", "polite");
+
+  const error = document.createElement("div");
+  error.id = `${def.name}Error`;
+  error.className = "error";
+  error.setAttribute("aria-live", "polite");
+  describedBy.push(error.id);
+  wrapper.append(error);
+
+  input.setAttribute("aria-describedby", describedBy.join(" "));
+  profileFieldsBox.append(wrapper);
+
+  const getValue = () => (def.type === "checkbox" ? input.checked : input.value);
+  const setValue = (value) => {
+    if (def.type === "checkbox") input.checked = value === true;
+    else input.value = value ?? def.default ?? "";
+  };
+
+  return {
+    def,
+    input,
+    error,
+    counter,
+    getValue,
+    setValue,
+    validate: () => validators[def.name](getValue()),
+  };
+}
+
+/**
+ * Campos del formulario con su validador y su contenedor de error
+ * (en el orden de la definición).
+ */
+const liveFields = formDefinition.fields.map(buildField);
+
+/* ==========================================================
+   VALIDACIÓN Y PREVIEW EN VIVO (mientras se escribe)
+   ========================================================== */
+
+/**
+ * debounce(fn, ms)
+ * ----------------
+ * Retrasa la llamada hasta que el usuario deja de escribir "ms" milisegundos.
+ * Evita validar/repintar en cada pulsación.
+ * .cancel() descarta la llamada pendiente.
+ */
+function debounce(fn, ms) {
+  let timer = null;
+  const debounced = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+  debounced.cancel = () => clearTimeout(timer);
+  return debounced;
+}
+
+/**
+ * showFieldResult(field, result)
+ * - Pinta el mensaje (textContent: nunca HTML)
+ * - aria-invalid="true" si falla (accesibilidad)
+ */
+function showFieldResult({ input, error }, result) {
+  error.textContent = result.msg;
+  if (result.ok) input.removeAttribute("aria-invalid");
+  else input.setAttribute("aria-invalid", "true");
+}
+
+function validateLiveField(field) {
+  const result = field.validate();
+  showFieldResult(field, result);
+  return result;
+}
+
+/**
+ * renderCommentPreview(source, format)
+ * ------------------------------------
+ * Mismo camino que el servidor (./shared/markdown.mjs):
+ *  Markdown -> HTML (marked) -> sanitizeUserHtml (DOMPurify)
+ * En formato "html" solo se sanitiza.
+ */
+function renderCommentPreview(source, format) {
+  return renderComment(source, format, { marked, sanitize: sanitizeUserHtml });
+}
+
+// Texto de un valor ya limpio (las casillas, como sí/no)
+const displayValue = (value) => (typeof value === "boolean" ? (value ? "sí" : "no") : value);
+
+/**
+ * renderPreviews()
+ * ----------------
+ * Actualiza las dos vistas previas con lo que hay AHORA en el formulario.
+ *
+ * #safePreview interpreta HTML: PELIGROSO si hay contenido usuario.
+ * Por eso se pinta con html`` (./safeHtml.mjs):
+ *  - campos de texto (y sus etiquetas): html`` los escapa solo
+ *  - campos html (comentario): se sanitizan (DOMPurify), tras convertir
+ *    si es Markdown, y se marcan con trusted()
+ *
+ * #escapedPreview usa textContent: NO interpreta HTML.
+ * Es la forma más segura si no necesitas permitir HTML.
+ */
+function renderPreviews() {
+  const values = Object.fromEntries(
+    liveFields.map((field) => [field.def.name, field.validate().value])
+  );
+
+  setHtml(safePreview, html`${liveFields.map(({ def }) => {
+    if (!richFieldNames.has(def.name)) {
+      return html`<p><b>${def.label}:</b> ${displayValue(values[def.name])}</p>`;
+    }
+    const sanitized = renderCommentPreview(values[def.name], values[def.format] ?? "html");
+    return html`<p><b>${def.label} (sanitizado):</b></p><div>${trusted(sanitized)}</div>`;
+  })}`);
+
+  escapedPreview.textContent = liveFields.map(({ def }) =>
+    richFieldNames.has(def.name)
+      ? `${def.label} (texto literal):\n${values[def.name]}`
+      : `${def.label}: ${displayValue(values[def.name])}`
+  ).join("\n");
+}
+
+/**
+ * Contadores de caracteres ("123 / 500") de los campos con "counter".
+ * Se actualizan en cada pulsación (sin debounce: es barato).
+ * El límite se lee de la definición (no se repite el 500).
+ */
+function updateCounter({ def, input, counter }) {
+  if (!counter) return;
+  const max = def.rules.maxLength;
+  const length = input.value.length;
+  counter.textContent = `${length} / ${max}`;
+  counter.classList.toggle("over", length > max);
+}
+
+const updateCounters = () => liveFields.forEach(updateCounter);
+
+const renderPreviewsSoon = debounce(renderPreviews, 250);
+
+liveFields.forEach((field) => {
+  const validateSoon = debounce(() => validateLiveField(field), 400);
+
+  // Select y casilla: al cambiar, validación y preview inmediatas
+  if (["select", "checkbox"].includes(field.def.type)) {
+    field.input.addEventListener("change", () => {
+      validateLiveField(field);
+      renderPreviews();
+    });
+    return;
+  }
+
+  // Mientras escribe: validación retrasada
+  field.input.addEventListener("input", () => {
+    validateSoon();
+    renderPreviewsSoon();
+    updateCounter(field);
+  });
 
-  /* 2) VALIDACIÓN EN CLIENTE (UX)
+  // Al salir del campo: validación inmediata
+  field.input.addEventListener("blur", () => validateLiveField(field));
+});
+
+updateCounters();
+
+/**
+ * Selector de idioma:
+ * - guarda la elección
+ * - vuelve a validar los campos que YA muestran un error,
+ *   para que el mensaje cambie de idioma al momento
+ */
+const langSelect = $("#langSelect");
+langSelect.value = currentLocale;
+
+langSelect.addEventListener("change", () => {
+  currentLocale = langSelect.value;
+  localStorage.setItem("lang", currentLocale);
+  document.documentElement.lang = currentLocale;
+
+  liveFields
+    .filter((field) => field.error.textContent !== "")
+    .forEach(validateLiveField);
+});
+
+/* ==========================================================
+   INFORME DE SANITIZACIÓN: "qué se ha eliminado"
+   ========================================================== */
+
+const removedView = $("#removedView");
+const removedList = $("#removedList");
+
+// Frase legible para cada hallazgo del informe del servidor
+const describeFinding = {
+  tag: (f) => f.closing
+    ? `Cierre </${f.tag}> eliminado`
+    : `Etiqueta <${f.tag}> eliminada` + (f.contentRemoved ? " (con su contenido)" : ""),
+  attribute: (f) => ({
+    "not-allowed": `Atributo ${f.attribute} eliminado de <${f.tag}> (no permitido)`,
+    "target-not-allowed": `target="${f.value}" eliminado de <a> (solo se permite _blank)`,
+    "rel-forced": `rel="${f.value}" sustituido por el rel seguro`,
+  })[f.reason],
+  url: (f) => `URL con esquema ${f.scheme}: rechazada en ${f.attribute} de <${f.tag}>`,
+};
+
+/**
+ * renderSanitizeReport(report)
+ * ----------------------------
+ * 1) Muestra el HTML de entrada con lo eliminado resaltado (<mark>)
+ * 2) Lista cada hallazgo con una explicación
+ *
+ * Todo se construye con nodos y textContent: el HTML del usuario
+ * se muestra como TEXTO, nunca se interpreta.
+ */
+function renderSanitizeReport(report) {
+  removedView.replaceChildren();
+  removedList.replaceChildren();
+  if (!report) return;
+
+  if (!report.changed) {
+    removedView.textContent = "La sanitización no ha eliminado nada.";
+    return;
+  }
+
+  const findings = [
+    ...report.removedTags.map((f) => ({ ...f, text: describeFinding.tag(f) })),
+    ...report.droppedAttributes.map((f) => ({ ...f, text: describeFinding.attribute(f) })),
+    ...report.rejectedUrls.map((f) => ({ ...f, text: describeFinding.url(f) })),
+  ].sort((a, b) => a.start - b.start);
+
+  // Resaltado: rangos ordenados; si uno está dentro de otro, manda el exterior
+  let pos = 0;
+  for (const f of findings) {
+    if (f.start < pos) continue;
+    removedView.append(report.input.slice(pos, f.start));
+
+    const mark = document.createElement("mark");
+    mark.className = "removed";
+    mark.title = f.text;
+    mark.textContent = report.input.slice(f.start, f.end);
+    removedView.append(mark);
+    pos = f.end;
+  }
+  removedView.append(report.input.slice(pos));
+
+  for (const f of findings) {
+    const li = document.createElement("li");
+    li.textContent = `[${f.start}-${f.end}] ${f.text}`;
+    removedList.append(li);
+  }
+}
+
+/* ==========================================================
+   LAB XSS: corpus de ataques contra las tres defensas
+   ========================================================== */
+
+const labCustom = $("#labCustom");
+const labSummary = $("#labSummary");
+const labBody = $("#labBody");
+const btnLabRun = $("#btnLabRun");
+const btnLabExport = $("#btnLabExport");
+
+let labResults = [];
+
+/**
+ * Policy "inert" de Trusted Types:
+ * devuelve el HTML tal cual, pero SOLO se usa con DOMParser,
+ * que crea un documento inerte (no ejecuta scripts ni carga imágenes).
+ */
+const inertPolicy = window.trustedTypes && trustedTypes.createPolicy
+  ? trustedTypes.createPolicy("inert", { createHTML: (html) => html })
+  : { createHTML: (html) => html };
+
+function parseInert(html) {
+  return new DOMParser().parseFromString(inertPolicy.createHTML(html), "text/html").body;
+}
+
+/**
+ * normalizeHtml(html)
+ * -------------------
+ * Dos salidas son "equivalentes" si el navegador las parsea igual
+ * (sanitize-html escribe <br />, DOMPurify <br>...).
+ */
+function normalizeHtml(html) {
+  return parseInert(html).innerHTML;
+}
+
+/**
+ * isDangerous(html)
+ * -----------------
+ * Comprobación independiente de "expected": ¿queda algo ejecutable?
+ *  - etiquetas activas (script, iframe, svg, object...)
+ *  - atributos on* (onerror, onload...)
+ *  - URLs javascript:/data:/vbscript:
+ */
+const ACTIVE_TAGS = ["script", "iframe", "object", "embed", "svg", "math", "style", "form", "base"];
+
+function isDangerous(html) {
+  return [...parseInert(html).querySelectorAll("*")].some((el) =>
+    ACTIVE_TAGS.includes(el.localName) ||
+    [...el.attributes].some((attr) =>
+      attr.name.startsWith("on") ||
+      /^\s*(javascript|data|vbscript):/i.test(attr.value)
+    )
+  );
+}
+
+/**
+ * escapeHtml pasa si el resultado, al parsearse, es SOLO texto
+ * y ese texto es exactamente el payload original.
+ */
+function escapeOk(payload) {
+  const body = parseInert(escapeHtml(payload));
+  return body.children.length === 0 && body.textContent === payload;
+}
+
+/**
+ * evaluateCase(c)
+ * ---------------
+ * c viene del servidor: { id, category, payload, expected, server }
+ * Con "expected" (corpus): las dos salidas deben coincidir con él.
+ * Sin "expected" (payload propio): cliente y servidor deben coincidir.
+ */
+function evaluateCase(c) {
+  const client = sanitizeUserHtml(c.payload);
+  const reference = c.expected ?? c.server;
+
+  const checks = {
+    escape: escapeOk(c.payload),
+    client: normalizeHtml(client) === normalizeHtml(reference) && !isDangerous(client),
+    server: normalizeHtml(c.server) === normalizeHtml(reference) && !isDangerous(c.server),
+  };
+
+  return {
+    ...c,
+    client,
+    checks,
+    pass: checks.escape && checks.client && checks.server,
+  };
+}
+
+// Celda con texto (nunca innerHTML: el payload es hostil)
+function cell(text, className = "") {
+  const td = document.createElement("td");
+  if (className) td.className = className;
+  td.textContent = text;
+  return td;
+}
+
+function codeCell(text) {
+  const td = document.createElement("td");
+  const code = document.createElement("code");
+  code.textContent = text;
+  td.append(code);
+  return td;
+}
+
+function verdictCell(ok) {
+  return cell(ok ? "✔ pasa" : "✘ falla", ok ? "pass" : "fail");
+}
+
+function renderLabResults(results) {
+  labBody.replaceChildren(
+    ...results.map((r) => {
+      const tr = document.createElement("tr");
+      tr.title = `DOMPurify: ${r.client}\nServidor: ${r.server}`;
+      tr.append(
+        codeCell(r.payload),
+        cell(r.category),
+        verdictCell(r.checks.escape),
+        verdictCell(r.checks.client),
+        verdictCell(r.checks.server),
+        verdictCell(r.pass),
+      );
+      return tr;
+    })
+  );
+
+  const passed = results.filter((r) => r.pass).length;
+  labSummary.textContent = `${passed} / ${results.length} payloads pasan las tres defensas.`;
+}
+
+btnLabRun.addEventListener("click", async () => {
+  labSummary.textContent = `Ejecutando ${XSS_CORPUS.length} payloads...`;
+  btnLabExport.disabled = true;
+
+  const payloads = labCustom.value
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+
+  try {
+    const data = await api("/api/lab/run", {
+      method: "POST",
+      body: JSON.stringify({ payloads }),
+    });
+
+    labResults = data.results.map(evaluateCase);
+    renderLabResults(labResults);
+    btnLabExport.disabled = false;
+  } catch (e) {
+    labSummary.textContent = formatApiError(e);
+  }
+});
+
+/**
+ * Exportar: descarga los resultados como fichero JSON
+ * (Blob + enlace temporal con atributo download).
+ */
+btnLabExport.addEventListener("click", () => {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    total: labResults.length,
+    passed: labResults.filter((r) => r.pass).length,
+    results: labResults,
+  };
+
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "xss-lab-results.json";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+});
+
+/* ==========================================================
+   MURO DE COMENTARIOS: HTML de otros usuarios
+   ========================================================== */
+
+/**
+ * GET /api/comments devuelve los comentarios de TODOS los perfiles.
+ * Aquí sí que es el escenario real: HTML que escribió OTRA persona.
+ *
+ * Defensa en profundidad:
+ *  - el servidor lo guardó sanitizado (sanitize-html)
+ *  - aquí se vuelve a pasar por sanitizeUserHtml (DOMPurify) antes
+ *    de marcarlo con trusted(): si la política del servidor tuviera
+ *    un fallo (o los datos se hubieran tocado a mano), no basta
+ *  - autor, fecha, id y avatar van por html``: se escapan solos
+ *
+ * Paginación en el servidor (pageSize por página) y borrado solo
+ * de los propios (own: true, lo decide el servidor con la sesión).
+ */
+const COMMENTS_PAGE_SIZE = 5;
+
+const commentsAuthor = $("#commentsAuthor");
+const commentsSort = $("#commentsSort");
+const commentsSummary = $("#commentsSummary");
+const commentsList = $("#commentsList");
+const btnCommentsLoad = $("#btnCommentsLoad");
+const btnCommentsPrev = $("#btnCommentsPrev");
+const btnCommentsNext = $("#btnCommentsNext");
+
+let commentsPage = 1;
+
+function renderComments(comments) {
+  setHtml(commentsList, html`${comments.map((c) => html`
+    <article class="comment">
+      <div class="comment-meta">
+        ${c.avatarUrl ? html`<img src="${c.avatarUrl}" alt="" />` : null}
+        <b>${c.author}</b>
+        <span class="muted">${new Date(c.createdAt).toLocaleString(currentLocale)}</span>
+        ${c.own ? html`<button type="button" class="danger" data-delete="${c.id}">Borrar</button>` : null}
+      </div>
+      <div class="comment-body">${trusted(sanitizeUserHtml(c.html))}</div>
+    </article>
+  `)}`);
+}
+
+async function loadComments(page = commentsPage) {
+  const params = new URLSearchParams({
+    page: String(page),
+    pageSize: String(COMMENTS_PAGE_SIZE),
+    sort: commentsSort.value,
+  });
+  const author = commentsAuthor.value.trim();
+  if (author) params.set("author", author);
+
+  commentsSummary.textContent = "Cargando comentarios...";
+  try {
+    const data = await api(`/api/comments?${params}`);
+
+    // La página se ha quedado vacía (p. ej. tras borrar el último): la anterior
+    if (data.comments.length === 0 && page > 1) return loadComments(page - 1);
+
+    commentsPage = data.page;
+    renderComments(data.comments);
+    commentsSummary.textContent = data.total
+      ? `${data.total} comentario(s) · página ${data.page} de ${data.totalPages}`
+      : "No hay comentarios.";
+    btnCommentsPrev.disabled = data.page <= 1;
+    btnCommentsNext.disabled = data.page >= data.totalPages;
+  } catch (e) {
+    commentsSummary.textContent = formatApiError(e);
+  }
+}
+
+// Filtro y orden: siempre desde la primera página
+const reloadComments = () => loadComments(1);
+
+btnCommentsLoad.addEventListener("click", reloadComments);
+commentsSort.addEventListener("change", reloadComments);
+commentsAuthor.addEventListener("input", debounce(reloadComments, 400));
+btnCommentsPrev.addEventListener("click", () => loadComments(commentsPage - 1));
+btnCommentsNext.addEventListener("click", () => loadComments(commentsPage + 1));
+
+// Al abrir la pestaña, datos frescos
+$(".tab[data-tab=comments]").addEventListener("click", () => loadComments());
+
+// Un solo listener para todos los botones "Borrar" (los crea renderComments)
+commentsList.addEventListener("click", async (ev) => {
+  const button = ev.target.closest("button[data-delete]");
+  if (!button || !confirm("¿Borrar este comentario?")) return;
+
+  button.disabled = true;
+  try {
+    const data = await api(`/api/comments/${encodeURIComponent(button.dataset.delete)}`, {
+      method: "DELETE",
+    });
+    await loadComments();
+    commentsSummary.textContent = `${data.msg} ${commentsSummary.textContent}`;
+  } catch (e) {
+    button.disabled = false;
+    commentsSummary.textContent = formatApiError(e);
+  }
+});
+
+/* ==========================================================
+   AVATAR: comprobación y vista previa en el cliente
+   ========================================================== */
+
+/**
+ * Al elegir un fichero se comprueba con ./shared/avatar.mjs
+ * (magic bytes, tipo declarado, tamaño y dimensiones): lo
+ * mismo que hará el servidor, pero con aviso inmediato.
+ *
+ * Vista previa con URL.createObjectURL (la CSP permite blob:
+ * en img-src). El nombre del fichero lo elige el usuario
+ * ("<img src=x onerror=...>.png" es un nombre válido), así
+ * que se muestra con textContent, NUNCA con innerHTML.
+ *
+ * El avatar se sube DESPUÉS de guardar el perfil (necesita su id).
+ */
+const avatarInput = $("#avatar");
+const avatarPreview = $("#avatarPreview");
+const avatarInfo = $("#avatarInfo");
+const avatarError = $("#avatarError");
+
+let avatarObjectUrl = null;
+let avatarFile = null; // fichero ya comprobado, pendiente de subir
+
+function clearAvatarPreview() {
+  if (avatarObjectUrl) URL.revokeObjectURL(avatarObjectUrl);
+  avatarObjectUrl = null;
+  avatarFile = null;
+  avatarPreview.hidden = true;
+  avatarPreview.removeAttribute("src");
+  avatarInfo.textContent = "";
+  avatarError.textContent = "";
+  avatarInput.removeAttribute("aria-invalid");
+}
+
+avatarInput.addEventListener("change", async () => {
+  clearAvatarPreview();
+  const [file] = avatarInput.files;
+  if (!file) return;
+
+  // Si ya pesa demasiado, ni siquiera se lee
+  const bytes = file.size > AVATAR_LIMITS.maxBytes
+    ? new Uint8Array()
+    : new Uint8Array(await file.arrayBuffer());
+  const result = checkAvatar({ bytes, declaredType: file.type, size: file.size });
+
+  if (!result.ok) {
+    avatarError.textContent = t(currentLocale, result.code, result.params);
+    avatarInput.setAttribute("aria-invalid", "true");
+    return;
+  }
+
+  avatarFile = file;
+  avatarObjectUrl = URL.createObjectURL(file);
+  avatarPreview.src = avatarObjectUrl;
+  avatarPreview.hidden = false;
+  avatarInfo.textContent =
+    `${file.name} · ${result.width}×${result.height} px · ${Math.ceil(file.size / 1024)} KB`;
+});
+
+// ¿Hay un fichero elegido que NO ha pasado la comprobación?
+const avatarRejected = () => avatarInput.files.length > 0 && !avatarFile;
+
+/**
+ * uploadAvatar(profileId)
+ * -----------------------
+ * POST multipart a /api/profile/avatar. api() no pone
+ * Content-Type con FormData: el navegador añade el boundary.
+ * El id del perfil va en la URL y hace falta sesión: solo
+ * el dueño del perfil puede cambiar su avatar.
+ */
+async function uploadAvatar(profileId) {
+  const body = new FormData();
+  body.append("avatar", avatarFile);
+  return api(`/api/profile/avatar?${new URLSearchParams({ profileId })}`, { method: "POST", body });
+}
+
+/* ==========================================================
+   BORRADOR AUTOMÁTICO (sessionStorage)
+   ========================================================== */
+
+/**
+ * Mientras se escribe, el formulario entero se guarda como
+ * borrador en sessionStorage (sobrevive a una recarga, no a
+ * cerrar la pestaña). Formato:
+ *
+ *   { version: 1, revision: 7, savedAt: "2026-...Z",
+ *     fields: { campo: valor } }   <- los campos de la definición
+ *
+ *  - version:  formato del borrador; si cambia, los antiguos se ignoran
+ *  - revision: cuántas veces se ha guardado (sube en cada cambio)
+ *  - savedAt:  cuándo se guardó por última vez
+ *
+ * Se borra cuando el servidor confirma el guardado.
+ * Clave: DRAFT_KEY (declarada en la sección STORAGE).
+ */
+const DRAFT_VERSION = 1;
+
+/**
+ * sessionStorage es de cada pestaña: otra pestaña NO recibe
+ * su evento "storage". Para avisar entre pestañas publicamos
+ * en localStorage solo QUÉ ha pasado (pestaña, acción, hora),
+ * nunca el contenido del borrador (clave DRAFT_ACTIVITY_KEY).
+ */
+const TAB_ID = crypto.randomUUID();
+
+const draftPrompt = $("#draftPrompt");
+const draftPromptText = $("#draftPromptText");
+const draftConflict = $("#draftConflict");
+const draftConflictText = $("#draftConflictText");
+const draftStatus = $("#draftStatus");
+
+let draftRevision = 0;
+
+// Mientras se pregunta "¿restaurar?" no se guarda nada (no pisar el borrador)
+let draftPending = false;
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString(currentLocale, { dateStyle: "short", timeStyle: "medium" });
+
+/**
+ * readDraft()
+ * -----------
+ * Devuelve el borrador guardado o null.
+ * Un borrador de otra versión o corrupto se elimina.
+ */
+function readDraft() {
+  try {
+    const draft = JSON.parse(sessionStorage.getItem(DRAFT_KEY) || "null");
+    if (draft?.version === DRAFT_VERSION && draft.fields) return draft;
+  } catch {
+    // JSON roto: lo tratamos como si no hubiera borrador
+  }
+  sessionStorage.removeItem(DRAFT_KEY);
+  return null;
+}
+
+function announceDraft(action) {
+  localStorage.setItem(
+    DRAFT_ACTIVITY_KEY,
+    JSON.stringify({ tab: TAB_ID, action, at: new Date().toISOString() })
+  );
+}
+
+/**
+ * saveDraft()
+ * -----------
+ * Guarda el formulario tal cual (sin validar: es un borrador).
+ * Si todos los campos están vacíos (o sin marcar), no hay borrador.
+ */
+function saveDraft() {
+  if (draftPending) return;
+
+  const fields = Object.fromEntries(
+    liveFields.map((field) => [field.def.name, field.getValue()])
+  );
+  // Los select siempre tienen valor: no cuentan como "escrito"
+  const written = liveFields.filter((field) => field.def.type !== "select");
+  if (written.every((field) => isEmptyValue(fields[field.def.name]))) {
+    clearDraft("discarded");
+    return;
+  }
+
+  draftRevision += 1;
+  const draft = {
+    version: DRAFT_VERSION,
+    revision: draftRevision,
+    savedAt: new Date().toISOString(),
+    fields,
+  };
+  sessionStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+  announceDraft("edit");
+  draftStatus.textContent = `Borrador guardado (${formatTime(draft.savedAt)}, revisión ${draft.revision}).`;
+}
+
+/**
+ * clearDraft(reason)
+ * ------------------
+ * reason: "saved" (el servidor lo confirmó) | "discarded"
+ */
+function clearDraft(reason) {
+  saveDraftSoon.cancel(); // que un guardado pendiente no lo "resucite"
+  const existed = sessionStorage.getItem(DRAFT_KEY) !== null;
+  sessionStorage.removeItem(DRAFT_KEY);
+  draftRevision = 0;
+  draftStatus.textContent = reason === "saved" ? "Perfil enviado: borrador eliminado." : "";
+  if (existed) announceDraft(reason);
+}
+
+function restoreDraft(draft) {
+  // Un campo que el borrador no tiene (definición más nueva) queda por defecto
+  liveFields.forEach((field) => field.setValue(draft.fields[field.def.name]));
+  draftRevision = draft.revision;
+
+  updateCounters();
+  renderPreviews();
+  // Se validan solo los campos que tienen algo (no llenar de errores)
+  liveFields.filter((field) => !isEmptyValue(field.getValue())).forEach(validateLiveField);
+
+  draftStatus.textContent = `Borrador restaurado (${formatTime(draft.savedAt)}).`;
+}
+
+const saveDraftSoon = debounce(saveDraft, 500);
+
+liveFields.forEach(({ input }) => {
+  input.addEventListener("input", saveDraftSoon);
+  input.addEventListener("change", saveDraftSoon);
+});
+
+/**
+ * Al cargar: si hay borrador, se pregunta antes de restaurarlo.
+ */
+const initialDraft = readDraft();
+if (initialDraft) {
+  draftPending = true;
+  draftPromptText.textContent =
+    `Hay un borrador sin enviar del ${formatTime(initialDraft.savedAt)}. ¿Restaurarlo?`;
+  draftPrompt.classList.remove("hidden");
+}
+
+function closeDraftPrompt() {
+  draftPending = false;
+  draftPrompt.classList.add("hidden");
+}
+
+$("#btnDraftRestore").addEventListener("click", () => {
+  closeDraftPrompt();
+  restoreDraft(initialDraft);
+});
+
+$("#btnDraftIgnore").addEventListener("click", () => {
+  closeDraftPrompt();
+  clearDraft("discarded");
+  saveDraft(); // lo escrito mientras se decidía pasa a ser el borrador
+});
+
+$("#btnDraftDiscard").addEventListener("click", () => {
+  closeDraftPrompt();
+  clearDraft("discarded");
+  draftStatus.textContent = "Borrador descartado (el formulario no se ha tocado).";
+});
+
+/**
+ * Aviso entre pestañas: el evento "storage" llega a las DEMÁS
+ * pestañas del mismo origen cuando esta escribe en localStorage.
+ */
+const DRAFT_ACTIVITY_TEXT = {
+  edit: "Otra pestaña está editando este formulario. Cada pestaña guarda su propio borrador: el último perfil que envíes es el que cuenta.",
+  saved: "Otra pestaña acaba de enviar el perfil. Si envías este también, se creará otro perfil (o fallará si el email coincide).",
+  discarded: "Otra pestaña ha descartado su borrador.",
+};
+
+window.addEventListener("storage", (ev) => {
+  if (ev.key !== DRAFT_ACTIVITY_KEY || !ev.newValue) return;
+
+  let activity;
+  try {
+    activity = JSON.parse(ev.newValue);
+  } catch {
+    return;
+  }
+  if (activity.tab === TAB_ID || !DRAFT_ACTIVITY_TEXT[activity.action]) return;
+
+  draftConflictText.textContent =
+    `${DRAFT_ACTIVITY_TEXT[activity.action]} (${formatTime(activity.at)})`;
+  draftConflict.classList.remove("hidden");
+});
+
+$("#btnDraftConflictClose").addEventListener("click", () => {
+  draftConflict.classList.add("hidden");
+});
+
+/* ==========================================================
+   FORM: validación + sanitización + almacenamiento + envío
+   ========================================================== */
+
+form.addEventListener("submit", async (ev) => {
+  ev.preventDefault(); // evita que la página recargue (comportamiento por defecto)
+
+  /* 1) VALIDACIÓN EN CLIENTE (UX)
+     - Los valores vienen del input tal cual los escribió el usuario
      - Damos feedback inmediato sin ir al servidor
      - Aun así el servidor debe validar también
   */
-  const vName = validateName(rawName);
-  const vEmail = validateEmail(rawEmail);
-  const vComment = validateComment(rawComment);
-
-  // Mostramos errores
-  errName.textContent = vName.msg;
-  errEmail.textContent = vEmail.msg;
-  errComment.textContent = vComment.msg;
-
-  // Si cualquier campo falla → no seguimos
-  const ok = vName.ok && vEmail.ok && vComment.ok;
-  if (!ok) return;
-
-  /* 3) SANITIZACIÓN DEL COMENTARIO (clave XSS)
-     - Vamos a permitir HTML en el comentario,
-       pero solo el que sea seguro.
-  */
-  const safeHtml = sanitizeUserHtml(vComment.value);
+  const results = liveFields.map(validateLiveField);
 
-  /* 4) PREVIEW SEGURO EN HTML
-     - Usamos innerHTML: PELIGROSO si hay contenido usuario.
-     - Por eso:
-       - nombre y email: se escapan (escapeHtml)
-       - comentario: se sanitiza (DOMPurify)
-  */
-  safePreview.innerHTML = `
-    <p><b>Nombre:</b> ${escapeHtml(vName.value)}</p>
-    <p><b>Email:</b> ${escapeHtml(vEmail.value)}</p>
-    <p><b>Comentario (sanitizado):</b></p>
-    <div>${safeHtml}</div>
-  `;
-
-  /* 5) PREVIEW "ESCAPADO" COMO TEXTO LITERAL
-     - textContent NO interpreta HTML.
-     - Es la forma más segura si no necesitas permitir HTML.
+  // Si cualquier campo (o el avatar elegido) falla → no seguimos
+  if (!results.every((result) => result.ok) || avatarRejected()) return;
+
+  // { campo: valor limpio } con los campos de la definición
+  const values = Object.fromEntries(
+    liveFields.map((field, i) => [field.def.name, results[i].value])
+  );
+
+  /* 2) PREVIEWS (sanitizada y escapada)
+     - Si es Markdown, primero se convierte a HTML.
+     - Ver renderPreviews()
   */
-  escapedPreview.textContent =
-    `Nombre: ${vName.value}\n` +
-    `Email: ${vEmail.value}\n` +
-    `Comentario (texto literal):\n${vComment.value}`;
-
-  /* 6) ALMACENAMIENTO EN STORAGE (NO sensible)
-     - localStorage: guardamos perfil básico (persistente)
-     - sessionStorage: guardamos borrador de comentario (temporal)
+  renderPreviews();
+
+  /* 3) ALMACENAMIENTO EN STORAGE (NO sensible)
+     - localStorage: guardamos perfil básico (persistente),
+       cifrado si se ha elegido un modo de cifrado (ver writeProfile)
+     - sessionStorage: el borrador ya se guarda solo (ver saveDraft)
   */
-  localStorage.setItem(
-    "profile",
-    JSON.stringify({ name: vName.value, email: vEmail.value })
-  );
-  sessionStorage.setItem("draftComment", vComment.value);
+  try {
+    const stored = await writeProfile({ name: values.name, email: values.email });
+    if (stored === "locked") {
+      storageCryptoStatus.textContent =
+        "Perfil NO guardado en localStorage: falta la passphrase (pestaña Storage).";
+    }
+  } catch (err) {
+    storageCryptoError(err);
+  }
   dumpStorage();
 
-  /* 7) ENVIAR AL SERVIDOR
+  /* 4) ENVIAR AL SERVIDOR
      - Aquí mandamos los datos para que el servidor:
        - valide otra vez
        - sanitice otra vez
        - y guarde/gestione
   */
   try {
-    const payload = {
-      name: vName.value,
-      email: vEmail.value,
-      comment: vComment.value,
-    };
-
     const data = await api("/api/profile", {
       method: "POST",
-      body: JSON.stringify(payload),
+      body: JSON.stringify(values),
     });
 
+    // El servidor lo ha guardado: el borrador ya no hace falta
+    clearDraft("saved");
+    dumpStorage();
+
+    // Qué ha quitado la sanitización del servidor
+    renderSanitizeReport(data.sanitizeReport);
+
+    // El perfil ya existe: ahora su avatar (si se eligió uno)
+    if (avatarFile) {
+      try {
+        const { avatar } = await uploadAvatar(data.saved.id);
+        avatarInfo.textContent =
+          `Avatar guardado en el servidor: ${avatar.width}×${avatar.height} px (${avatar.type}).`;
+      } catch (e) {
+        avatarError.textContent = e instanceof ApiError ? e.message : formatApiError(e);
+      }
+    }
+
     // Mostramos respuesta del servidor
-    safePreview.insertAdjacentHTML(
-      "beforeend",
-      `<p><b>Servidor:</b> Guardado</p>`
-    );
-    safePreview.insertAdjacentHTML(
-      "beforeend",
-      `<div class="muted"><pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre></div>`
-    );
+    appendHtml(safePreview, html`
+      <p><b>Servidor:</b> Guardado</p>
+      <div class="muted"><pre>${JSON.stringify(data, null, 2)}</pre></div>
+    `);
   } catch (e) {
-    safePreview.insertAdjacentHTML(
-      "beforeend",
-      `<p><b>Servidor:</b>Error</p>`
-    );
-    safePreview.insertAdjacentHTML(
-      "beforeend",
-      `<div class="muted"><pre>${escapeHtml(JSON.stringify(e, null, 2))}</pre></div>`
-    );
+    // Errores por campo del servidor -> debajo de cada input
+    if (e instanceof BadRequestError) {
+      const messages = e.fieldMessages;
+      liveFields
+        .filter((field) => messages[field.def.name])
+        .forEach((field) => showFieldResult(field, { ok: false, msg: messages[field.def.name] }));
+    }
+
+    appendHtml(safePreview, html`
+      <p><b>Servidor:</b> Error</p>
+      <div class="muted"><pre>${formatApiError(e)}</pre></div>
+    `);
   }
 });
 
@@ -494,13 +1976,16 @@ form.addEventListener("submit", async (ev) => {
  * Reset del formulario:
  * - Limpia campos
  * - Borra errores
- * - Borra previews
+ * - Borra previews (y la del avatar)
+ * - Descarta el borrador (el formulario queda vacío)
  */
 btnReset.addEventListener("click", () => {
   form.reset();
-  errName.textContent = "";
-  errEmail.textContent = "";
-  errComment.textContent = "";
+  clearDraft("discarded");
+  liveFields.forEach((field) => showFieldResult(field, { ok: true, msg: "" }));
+  updateCounters();
+  clearAvatarPreview();
   safePreview.textContent = "";
   escapedPreview.textContent = "";
+  renderSanitizeReport(null);
 });
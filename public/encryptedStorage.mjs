@@ -0,0 +1,181 @@
+/* ==========================================================
+   ALMACENAMIENTO CIFRADO (WebCrypto, solo navegador)
+   ==========================================================
+   localStorage guarda TEXTO: cualquiera que abra el perfil del
+   navegador (o las DevTools) lo lee tal cual. Aquí el valor se
+   cifra con AES-GCM antes de guardarlo.
+
+   La clave puede salir de dos sitios:
+   - "passphrase": se deriva con PBKDF2 de una frase del usuario.
+                   No se guarda en ningún sitio: tras recargar
+                   hay que volver a escribirla.
+   - "device":     una clave aleatoria NO extraíble guardada en
+                   IndexedDB. El navegador la puede USAR pero
+                   nadie puede leer sus bytes (ni nuestro JS).
+
+   LO QUE NO HACE: proteger frente a XSS. Un script inyectado
+   corre en esta misma página y puede llamar a decryptJson con
+   la misma clave (o leer la passphrase mientras se escribe).
+   ========================================================== */
+
+/**
+ * Formato guardado en localStorage ("sobre" cifrado):
+ *
+ *   { enc: 1, alg: "AES-GCM", keySource: "passphrase" | "device",
+ *     salt?: "...", iterations?: 600000,   // solo con passphrase
+ *     iv: "...", data: "..." }             // base64
+ */
+const ENVELOPE_VERSION = 1;
+
+// PBKDF2-SHA256: iteraciones recomendadas por OWASP (2023)
+export const PBKDF2_ITERATIONS = 600000;
+
+const KEY_DB = "secure-storage";
+const KEY_STORE = "keys";
+const DEVICE_KEY_ID = "device";
+
+const AES = { name: "AES-GCM", length: 256 };
+
+/* ---------- base64 <-> bytes ---------- */
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+/* ---------- claves ---------- */
+
+/**
+ * deriveKey(passphrase, salt, iterations)
+ * ---------------------------------------
+ * Clave AES a partir de una frase. La sal (aleatoria, pública)
+ * hace que la misma frase dé claves distintas en cada sobre.
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    AES,
+    false, // no extraíble
+    ["encrypt", "decrypt"]
+  );
+}
+
+export function randomSalt() {
+  return crypto.getRandomValues(new Uint8Array(16));
+}
+
+/**
+ * Petición de IndexedDB -> promesa.
+ */
+function idb(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openKeyDb() {
+  const request = indexedDB.open(KEY_DB, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+  return idb(request);
+}
+
+/**
+ * deviceKey({ create })
+ * ---------------------
+ * Clave del dispositivo guardada en IndexedDB.
+ * IndexedDB puede guardar el objeto CryptoKey tal cual
+ * (structured clone) sin exportar nunca sus bytes.
+ * Con create: false devuelve null si aún no existe.
+ */
+export async function deviceKey({ create = true } = {}) {
+  const db = await openKeyDb();
+  try {
+    const stored = await idb(
+      db.transaction(KEY_STORE).objectStore(KEY_STORE).get(DEVICE_KEY_ID)
+    );
+    if (stored || !create) return stored ?? null;
+
+    const key = await crypto.subtle.generateKey(AES, false, ["encrypt", "decrypt"]);
+    await idb(
+      db.transaction(KEY_STORE, "readwrite").objectStore(KEY_STORE).put(key, DEVICE_KEY_ID)
+    );
+    return key;
+  } finally {
+    db.close();
+  }
+}
+
+/* ---------- cifrar / descifrar ---------- */
+
+/**
+ * isEnvelope(value)
+ * -----------------
+ * true si lo leído de localStorage es un sobre cifrado
+ * (y no un perfil antiguo en texto plano).
+ */
+export function isEnvelope(value) {
+  return value?.enc === ENVELOPE_VERSION && typeof value.data === "string";
+}
+
+/**
+ * encryptJson(value, { key, keySource, salt, iterations, label })
+ * ---------------------------------------------------------------
+ * Cifra JSON.stringify(value). "label" (p. ej. "profile") va como
+ * dato adicional autenticado: el sobre solo se descifra para la
+ * misma entrada (no sirve copiarlo a otra clave de localStorage).
+ * Cada cifrado usa un IV aleatorio nuevo (obligatorio en AES-GCM).
+ */
+export async function encryptJson(value, { key, keySource, salt, iterations, label }) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: new TextEncoder().encode(label) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return {
+    enc: ENVELOPE_VERSION,
+    alg: "AES-GCM",
+    keySource,
+    ...(keySource === "passphrase" ? { salt: toBase64(salt), iterations } : {}),
+    iv: toBase64(iv),
+    data: toBase64(data),
+  };
+}
+
+/**
+ * decryptJson(envelope, key, label)
+ * ---------------------------------
+ * Devuelve el valor original. Si la clave no es la correcta
+ * (o el sobre se ha modificado) AES-GCM falla: lanza error.
+ */
+export async function decryptJson(envelope, key, label) {
+  const plain = await crypto.subtle.decrypt(
+    {
+      name: "AES-GCM",
+      iv: fromBase64(envelope.iv),
+      additionalData: new TextEncoder().encode(label),
+    },
+    key,
+    fromBase64(envelope.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * envelopeSalt(envelope)
+ * ----------------------
+ * Sal e iteraciones de un sobre con passphrase (para derivar
+ * la misma clave al desbloquear).
+ */
+export function envelopeSalt(envelope) {
+  return { salt: fromBase64(envelope.salt), iterations: envelope.iterations };
+}
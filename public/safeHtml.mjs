@@ -0,0 +1,218 @@
+/* ==========================================================
+   PLANTILLAS HTML SEGURAS: html`...`
+   ==========================================================
+   Construir HTML con template literals y escapeHtml a mano
+   funciona... hasta que un día se olvida UN escape:
+
+     el.innerHTML = `<p>${nombre}</p>`;   // XSS si nombre = "<img onerror=...>"
+
+   Con la etiqueta html`` cada ${valor} se escapa SOLO, según
+   dónde esté dentro de la plantilla (su "contexto"):
+
+     html`<p title="${a}">${b}</p>`
+              atributo ^     ^ texto
+
+   - texto:     escapeHtml (se ve tal cual, no se interpreta)
+   - atributo:  escapeHtml (no puede cerrar las comillas)
+   - URL:       href, src... además solo http(s), mailto, blob
+                o rutas relativas (javascript: -> about:invalid)
+
+   El HTML que YA es seguro (la salida de sanitizeUserHtml) se
+   marca explícitamente con trusted(). Así, en una revisión de
+   código, basta con buscar "trusted(" para ver qué se inserta
+   sin escapar.
+
+   Y para pintarlo: setHtml / appendHtml, que SOLO aceptan el
+   resultado de html`` (un string suelto lanza TypeError).
+   ========================================================== */
+
+/**
+ * escapeHtml(str)
+ * --------------
+ * Objetivo: "Escape de caracteres"
+ * Convierte caracteres especiales a entidades HTML para que el navegador
+ * NO los interprete como etiquetas/atributos HTML.
+ *
+ * EJEMPLO:
+ *  Entrada:  <b>Hola</b>
+ *  Salida:   &lt;b&gt;Hola&lt;/b&gt;
+ *
+ * Normalmente no hace falta llamarlo: html`` lo hace por nosotros.
+ *
+ * IMPORTANTE:
+ *  - Escape NO es sanitizar.
+ *  - Escape: convierte TODO en texto (no permite HTML).
+ *  - Sanitizar: permite "algo" de HTML pero elimina lo peligroso.
+ */
+export function escapeHtml(str) {
+  return String(str)
+    // El orden es importante:
+    // 1) & primero, para no "re-escapar" cosas ya escapadas.
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+/**
+ * SafeHtml: HTML que ya se puede insertar.
+ * Solo lo crean html`` y trusted() (la clase no se exporta).
+ */
+class SafeHtml {
+  #html;
+
+  constructor(html) {
+    this.#html = html;
+  }
+
+  toString() {
+    return this.#html;
+  }
+}
+
+/**
+ * trusted(sanitizedHtml)
+ * ----------------------
+ * Marca como seguro HTML que YA ha pasado por la sanitización
+ * (sanitizeUserHtml / renderComment). NUNCA con texto del usuario
+ * sin sanitizar: sería justo el XSS que html`` intenta evitar.
+ */
+export function trusted(sanitizedHtml) {
+  return new SafeHtml(String(sanitizedHtml));
+}
+
+// Atributos cuyo valor es una URL
+const URL_ATTRIBUTES = new Set(["href", "src", "action", "formaction", "poster", "cite", "xlink:href"]);
+
+// Esquemas admitidos en URLs interpoladas (sin esquema = ruta relativa)
+const SAFE_URL = /^(?:(?:https?|mailto|blob):|[^:/?#]*(?:[/?#]|$))/i;
+
+/**
+ * safeUrl(url)
+ * ------------
+ * La URL tal cual si es http(s), mailto, blob o relativa;
+ * "about:invalid" en otro caso (javascript:, data:, vbscript:...).
+ */
+export function safeUrl(url) {
+  const value = String(url).trim();
+  return SAFE_URL.test(value) ? value : "about:invalid";
+}
+
+/*
+  Contexto al final de cada trozo fijo de la plantilla.
+  Un pequeño autómata que solo distingue lo que necesitamos:
+  - fuera de etiquetas (texto)
+  - dentro de una etiqueta, fuera de comillas
+  - dentro del valor entre comillas de un atributo
+  Se arrastra de un trozo al siguiente: los valores escapados
+  no pueden cambiarlo.
+*/
+function advance(state, chunk) {
+  for (let i = 0; i < chunk.length; i++) {
+    const ch = chunk[i];
+    if (state.quote) {
+      if (ch === state.quote) state.quote = null;
+    } else if (state.inTag) {
+      if (ch === ">") state.inTag = false;
+      else if (ch === '"' || ch === "'") state.quote = ch;
+    } else if (ch === "<" && /[a-zA-Z/]/.test(chunk[i + 1] ?? "")) {
+      state.inTag = true;
+    }
+  }
+  return state;
+}
+
+// Atributo cuyo valor (entre comillas) está abierto al final del trozo
+const OPEN_ATTRIBUTE = /([^\s"'<>/=]+)\s*=\s*["']([^"']*)$/;
+
+function interpolate(state, chunk, value) {
+  if (!state.inTag) return textValue(value);
+
+  const attribute = state.quote && chunk.match(OPEN_ATTRIBUTE);
+  if (!attribute) {
+    // <a ${x}> o href=${x} sin comillas: la plantilla está mal escrita
+    throw new Error(`html\`\`: interpolación fuera de un atributo entre comillas (tras "${chunk.slice(-20)}")`);
+  }
+
+  const [, name, before] = attribute;
+  const attr = name.toLowerCase();
+  if (attr.startsWith("on") || attr === "style" || attr === "srcdoc") {
+    throw new Error(`html\`\`: no se interpolan valores en el atributo "${attr}"`);
+  }
+
+  const text = String(value ?? "");
+  // Solo si la URL empieza en la interpolación: href="/api/${id}" ya fija la ruta
+  return escapeHtml(URL_ATTRIBUTES.has(attr) && before === "" ? safeUrl(text) : text);
+}
+
+// Contexto texto: listas, null/undefined/false (nada) y SafeHtml sin escapar
+function textValue(value) {
+  if (value instanceof SafeHtml) return value.toString();
+  if (Array.isArray(value)) return value.map(textValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+/**
+ * html`...`
+ * ---------
+ * Etiqueta de plantilla: escapa cada ${valor} según su contexto
+ * y devuelve un SafeHtml (no un string).
+ *
+ * En contexto texto acepta también:
+ *  - otro html`` o trusted(): se inserta tal cual
+ *  - arrays (p. ej. lista.map(x => html`<li>${x}</li>`))
+ *  - null / undefined / false: no se pinta nada
+ *
+ * Lanza Error si un valor cae donde no se puede escapar con
+ * seguridad (atributo sin comillas, on*="...", style="...").
+ */
+export function html(strings, ...values) {
+  const state = { inTag: false, quote: null };
+  let out = strings[0];
+  advance(state, strings[0]);
+
+  values.forEach((value, i) => {
+    out += interpolate(state, strings[i], value) + strings[i + 1];
+    advance(state, strings[i + 1]);
+  });
+
+  return new SafeHtml(out);
+}
+
+/*
+  Trusted Types: setHtml/appendHtml usan su propia policy
+  ("safe-html"). Deja pasar el HTML sin tocarlo porque ya viene
+  escapado/sanitizado, y solo se llama desde aquí con un SafeHtml.
+  El resto de strings que lleguen a innerHTML siguen pasando por
+  la policy "default" (DOMPurify).
+*/
+const policy = window.trustedTypes && trustedTypes.createPolicy
+  ? trustedTypes.createPolicy("safe-html", { createHTML: (html) => html })
+  : { createHTML: (html) => html };
+
+function toTrustedHtml(safe) {
+  if (!(safe instanceof SafeHtml)) {
+    throw new TypeError("Se esperaba el resultado de html`...` o trusted(...), no un string");
+  }
+  return policy.createHTML(safe.toString());
+}
+
+/**
+ * setHtml(el, safe)
+ * -----------------
+ * Sustituye el contenido de el (en lugar de el.innerHTML = ...).
+ */
+export function setHtml(el, safe) {
+  el.innerHTML = toTrustedHtml(safe);
+}
+
+/**
+ * appendHtml(el, safe)
+ * --------------------
+ * Añade al final de el (en lugar de insertAdjacentHTML("beforeend", ...)).
+ */
+export function appendHtml(el, safe) {
+  el.insertAdjacentHTML("beforeend", toTrustedHtml(safe));
+}
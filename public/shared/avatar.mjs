@@ -0,0 +1,167 @@
+/* ==========================================================
+   AVATAR: TIPO REAL Y DIMENSIONES (navegador + Node)
+   ==========================================================
+   El nombre del fichero ("foto.png") y el tipo que declara el
+   navegador (Content-Type) los elige quien sube el fichero:
+   NO son fiables. Lo que cuenta son los primeros bytes
+   ("magic bytes"), que dicen qué formato es de verdad:
+
+     PNG   89 50 4E 47 0D 0A 1A 0A
+     JPEG  FF D8 FF
+     GIF   "GIF87a" / "GIF89a"
+     WebP  "RIFF" ???? "WEBP"
+
+   Las dimensiones se leen de la cabecera de cada formato, sin
+   decodificar la imagen (una "bomba" de 50000x50000 px se
+   rechaza antes de gastar memoria).
+
+   SVG NO se admite: es XML y puede llevar <script> y eventos.
+
+   Funciona con Uint8Array (navegador) y Buffer (Node).
+   ========================================================== */
+
+export const AVATAR_LIMITS = {
+  maxBytes: 1024 * 1024, // 1 MB
+  maxWidth: 1024,
+  maxHeight: 1024,
+  minSide: 16,
+};
+
+/**
+ * Tipos admitidos: MIME -> extensión con la que se guarda.
+ */
+export const AVATAR_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+
+const SVG_TYPE = "image/svg+xml";
+
+const ascii = (bytes, start, end) =>
+  String.fromCharCode(...bytes.subarray(start, end));
+
+const startsWith = (bytes, signature) =>
+  signature.every((byte, i) => bytes[i] === byte);
+
+/**
+ * sniffImageType(bytes)
+ * ---------------------
+ * MIME según los primeros bytes, "image/svg+xml" si parece
+ * un SVG (para poder explicarlo), o null si no se reconoce.
+ */
+export function sniffImageType(bytes) {
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (["GIF87a", "GIF89a"].includes(ascii(bytes, 0, 6))) return "image/gif";
+  if (ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 12) === "WEBP") return "image/webp";
+
+  // ¿Texto que empieza como XML/SVG? (se admite BOM y espacios delante)
+  const head = new TextDecoder().decode(bytes.subarray(0, 1024)).replace(/^\uFEFF?\s*/, "").toLowerCase();
+  if (/^<(\?xml|!doctype svg|!--|svg[\s>])/.test(head) && head.includes("<svg")) return SVG_TYPE;
+
+  return null;
+}
+
+const u16be = (b, i) => (b[i] << 8) | b[i + 1];
+const u16le = (b, i) => b[i] | (b[i + 1] << 8);
+const u24le = (b, i) => b[i] | (b[i + 1] << 8) | (b[i + 2] << 16);
+const u32be = (b, i) => ((b[i] << 24) >>> 0) + ((b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]);
+
+// Marcadores JPEG "Start Of Frame" (llevan alto y ancho)
+const JPEG_SOF = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function jpegSize(b) {
+  let i = 2;
+  while (i + 9 < b.length) {
+    if (b[i] !== 0xff) return null; // estructura rota
+    const marker = b[i + 1];
+    if (marker === 0xff) { i += 1; continue; } // relleno
+    if (JPEG_SOF.has(marker)) return { width: u16be(b, i + 7), height: u16be(b, i + 5) };
+    // Marcadores sin longitud (RSTn, SOI, TEM)
+    if ((marker >= 0xd0 && marker <= 0xd8) || marker === 0x01) { i += 2; continue; }
+    i += 2 + u16be(b, i + 2);
+  }
+  return null;
+}
+
+function webpSize(b) {
+  const chunk = ascii(b, 12, 16);
+  if (chunk === "VP8 " && b.length >= 30) {
+    return { width: u16le(b, 26) & 0x3fff, height: u16le(b, 28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && b.length >= 25 && b[20] === 0x2f) {
+    const bits = b[21] | (b[22] << 8) | (b[23] << 16) | (b[24] << 24);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && b.length >= 30) {
+    return { width: u24le(b, 24) + 1, height: u24le(b, 27) + 1 };
+  }
+  return null;
+}
+
+/**
+ * imageSize(bytes, type)
+ * ----------------------
+ * { width, height } leídos de la cabecera, o null si no se puede.
+ */
+export function imageSize(bytes, type) {
+  switch (type) {
+    case "image/png":
+      return bytes.length >= 24 && ascii(bytes, 12, 16) === "IHDR"
+        ? { width: u32be(bytes, 16), height: u32be(bytes, 20) }
+        : null;
+    case "image/gif":
+      return bytes.length >= 10 ? { width: u16le(bytes, 6), height: u16le(bytes, 8) } : null;
+    case "image/jpeg":
+      return jpegSize(bytes);
+    case "image/webp":
+      return webpSize(bytes);
+    default:
+      return null;
+  }
+}
+
+/**
+ * checkAvatar({ bytes, declaredType, size })
+ * ------------------------------------------
+ * Todas las comprobaciones, en orden. Devuelve:
+ *  - { ok: true, type, ext, width, height }
+ *  - { ok: false, code, params }  (código de i18n.mjs: "avatar.typeMismatch"...)
+ */
+export function checkAvatar({ bytes, declaredType = "", size = bytes.length }, limits = AVATAR_LIMITS) {
+  if (size > limits.maxBytes) {
+    return { ok: false, code: "avatar.tooLarge", params: { max: Math.round(limits.maxBytes / 1024) } };
+  }
+
+  const detected = sniffImageType(bytes);
+  if (detected === SVG_TYPE || declaredType === SVG_TYPE) {
+    return { ok: false, code: "avatar.svgNotAllowed", params: {} };
+  }
+  if (!detected) {
+    return { ok: false, code: "avatar.unsupportedType", params: { type: declaredType || "?" } };
+  }
+  if (declaredType !== detected) {
+    return { ok: false, code: "avatar.typeMismatch", params: { declared: declaredType || "?", detected } };
+  }
+
+  const dimensions = imageSize(bytes, detected);
+  if (!dimensions || !dimensions.width || !dimensions.height) {
+    return { ok: false, code: "avatar.unreadable", params: {} };
+  }
+
+  const { width, height } = dimensions;
+  if (width > limits.maxWidth || height > limits.maxHeight) {
+    return {
+      ok: false,
+      code: "avatar.dimensions",
+      params: { width, height, maxWidth: limits.maxWidth, maxHeight: limits.maxHeight },
+    };
+  }
+  if (Math.min(width, height) < limits.minSide) {
+    return { ok: false, code: "avatar.tooSmall", params: { min: limits.minSide } };
+  }
+
+  return { ok: true, type: detected, ext: AVATAR_TYPES[detected], width, height };
+}
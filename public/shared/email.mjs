@@ -0,0 +1,241 @@
+/* ==========================================================
+   EMAIL: ANÁLISIS, IDN Y NORMALIZACIÓN (navegador + Node)
+   ==========================================================
+   Una regex no basta para un email:
+   - acepta cosas rotas: "a@b..cc", "ana@mail.com."
+   - rechaza cosas válidas: "\"ana lópez\"@mail.com",
+     "ana@correos.españa" (dominio internacional, IDN)
+
+   Aquí se separa la dirección en parte local y dominio y se
+   comprueba cada parte por su lado, con los límites de la
+   RFC 5321. Cada fallo tiene su propia regla ("localDots",
+   "labelTooLong"...) para poder decir QUÉ está mal.
+
+   Los dominios internacionales se pasan a ASCII (punycode,
+   "españa" -> "xn--espaa-rta") con URL, que existe igual en el
+   navegador y en Node.
+   ========================================================== */
+
+/**
+ * Límites de la RFC 5321 (en bytes, no en caracteres):
+ *  - local:   parte antes de la @
+ *  - domain:  dominio completo (en ASCII)
+ *  - label:   cada trozo del dominio entre puntos
+ *  - address: dirección completa (el "path" de 256 menos los < >)
+ */
+export const EMAIL_LIMITS = { local: 64, domain: 255, label: 63, address: 254 };
+
+/**
+ * Parte local "normal" (dot-atom): letras, números y los
+ * símbolos de la RFC 5322. Los caracteres no ASCII se admiten
+ * (correo internacional, RFC 6531): "josé@mail.com".
+ */
+const LOCAL_ATOM = /^[a-z0-9!#$%&'*+/=?^_`{|}~.\-\u0080-\uFFFF]+$/i;
+
+/**
+ * Parte local entre comillas: "ana lópez"@mail.com
+ * Dentro vale cualquier carácter imprimible; " y \ solo escapados.
+ */
+const LOCAL_QUOTED = /^"(?:[\x20\x21\x23-\x5B\x5D-\x7E\u0080-\uFFFF]|\\[\x20-\x7E])*"$/;
+
+/**
+ * Puntos "ideográficos" (chino, japonés...) que en un dominio
+ * equivalen a un punto normal.
+ */
+const IDEOGRAPHIC_DOTS = /[\u3002\uFF0E\uFF61]/g;
+
+// Etiqueta final (TLD): letras, o punycode ("xn--...")
+const TLD = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+const utf8Length = (str) => new TextEncoder().encode(str).length;
+
+function fail(rule, params) {
+  return params ? { ok: false, rule, params } : { ok: false, rule };
+}
+
+/**
+ * splitAddress(address)
+ * ---------------------
+ * Separa por la @ que NO está entre comillas.
+ * Devuelve { local, domain } o null si no hay exactamente una.
+ */
+function splitAddress(address) {
+  if (address.startsWith('"')) {
+    // Buscamos la comilla de cierre saltando las escapadas (\")
+    for (let i = 1; i < address.length; i++) {
+      if (address[i] === "\\") { i++; continue; }
+      if (address[i] === '"') {
+        const rest = address.slice(i + 1);
+        return rest.startsWith("@")
+          ? { local: address.slice(0, i + 1), domain: rest.slice(1) }
+          : null;
+      }
+    }
+    return null;
+  }
+
+  const parts = address.split("@");
+  return parts.length === 2 ? { local: parts[0], domain: parts[1] } : null;
+}
+
+/**
+ * toAsciiDomain(domain)
+ * ---------------------
+ * Dominio en ASCII (punycode) y en minúsculas:
+ *   "Correos.España" -> "correos.xn--espaa-rta"
+ * Devuelve null si no es un nombre de dominio válido.
+ */
+export function toAsciiDomain(domain) {
+  const clean = String(domain).replace(IDEOGRAPHIC_DOTS, ".");
+
+  // Caracteres ASCII permitidos: letras, números, guion y punto
+  // (así URL no interpreta ":", "/", "%"... como parte de una URL)
+  if (/[\x00-\x2C\x2F\x3A-\x40\x5B-\x60\x7B-\x7F]/.test(clean)) return null;
+
+  try {
+    const ascii = new URL(`http://${clean}/`).hostname;
+    return /^[a-z0-9.-]+$/.test(ascii) ? ascii : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * parseEmail(address)
+ * -------------------
+ * Comprueba la dirección regla a regla. Devuelve:
+ *  - { ok: true, local, domain, asciiDomain }
+ *  - { ok: false, rule, params? } con la PRIMERA regla que falla:
+ *
+ *    at            no hay exactamente una @ con texto a cada lado
+ *    quoted        parte local entre comillas mal formada
+ *    localDots     la parte local empieza/acaba en punto o tiene ".."
+ *    localChars    caracteres no permitidos en la parte local
+ *    localTooLong  parte local de más de 64 bytes
+ *    domainDots    el dominio empieza/acaba en punto o tiene ".."
+ *    domainChars   caracteres no permitidos o IDN inválido
+ *    labelTooLong  un trozo del dominio de más de 63 caracteres
+ *    labelHyphen   un trozo empieza o acaba en guion
+ *    tld           sin extensión o extensión no válida (.c, .123)
+ *    domainTooLong dominio de más de 255 caracteres
+ *    tooLong       dirección completa de más de 254 bytes
+ *
+ * EJEMPLOS:
+ *  ok "ana@mail.com"
+ *  ok "ana+news@mail.com"
+ *  ok "\"ana lópez\"@mail.com"
+ *  ok "ana@correos.españa"
+ *  ko "a@b..cc"            (domainDots)
+ *  ko "ana@mail.com."      (domainDots)
+ *  ko "ana.@mail.com"      (localDots)
+ *  ko "ana@-mail.com"      (labelHyphen)
+ */
+export function parseEmail(address) {
+  const parts = splitAddress(String(address ?? ""));
+  if (!parts || !parts.local || !parts.domain) return fail("at");
+
+  const { local } = parts;
+  const domain = parts.domain.replace(IDEOGRAPHIC_DOTS, ".");
+
+  // --- Parte local ---
+  if (local.startsWith('"')) {
+    if (!LOCAL_QUOTED.test(local)) return fail("quoted");
+  } else {
+    if (local.startsWith(".") || local.endsWith(".") || local.includes("..")) {
+      return fail("localDots");
+    }
+    if (!LOCAL_ATOM.test(local)) return fail("localChars");
+  }
+  if (utf8Length(local) > EMAIL_LIMITS.local) {
+    return fail("localTooLong", { max: EMAIL_LIMITS.local });
+  }
+
+  // --- Dominio ---
+  if (domain.startsWith(".") || domain.endsWith(".") || domain.includes("..")) {
+    return fail("domainDots");
+  }
+
+  const asciiDomain = toAsciiDomain(domain);
+  if (!asciiDomain) return fail("domainChars");
+
+  const labels = asciiDomain.split(".");
+  if (labels.some((label) => label.length > EMAIL_LIMITS.label)) {
+    return fail("labelTooLong", { max: EMAIL_LIMITS.label });
+  }
+  if (labels.some((label) => label.startsWith("-") || label.endsWith("-"))) {
+    return fail("labelHyphen");
+  }
+  if (labels.length < 2 || !TLD.test(labels.at(-1))) return fail("tld");
+
+  if (asciiDomain.length > EMAIL_LIMITS.domain) {
+    return fail("domainTooLong", { max: EMAIL_LIMITS.domain });
+  }
+
+  // --- Dirección completa ---
+  if (utf8Length(local) + 1 + asciiDomain.length > EMAIL_LIMITS.address) {
+    return fail("tooLong", { max: EMAIL_LIMITS.address });
+  }
+
+  return { ok: true, local, domain, asciiDomain };
+}
+
+/* ==========================================================
+   NORMALIZACIÓN POR PROVEEDOR (para detectar duplicados)
+   ========================================================== */
+
+/**
+ * Algunos proveedores entregan en el MISMO buzón direcciones
+ * distintas. En Gmail:
+ *   ana.lopez@gmail.com = analopez@gmail.com        (ignora puntos)
+ *   ana+tienda@gmail.com = ana@gmail.com            (etiqueta +...)
+ *   ana@googlemail.com = ana@gmail.com              (dominio alias)
+ *   Ana.Lopez@gmail.com = analopez@gmail.com        (sin mayúsculas)
+ *
+ * Por proveedor:
+ *  - domains:    dominios que le pertenecen
+ *  - domain:     dominio "canónico"
+ *  - ignoreDots: los puntos de la parte local no cuentan
+ *  - plusTags:   lo que va tras el primer + no cuenta
+ *  - ignoreCase: la parte local no distingue mayúsculas
+ *    (el RFC dice que SÍ puede distinguirlas: solo si el proveedor no lo hace)
+ */
+export const EMAIL_PROVIDERS = {
+  gmail: {
+    domains: ["gmail.com", "googlemail.com"],
+    domain: "gmail.com",
+    ignoreDots: true,
+    plusTags: true,
+    ignoreCase: true,
+  },
+};
+
+/**
+ * canonicalEmail(address, providers)
+ * ----------------------------------
+ * Forma "canónica" de la dirección, SOLO para comparar
+ * (lo que se guarda y se muestra es lo que escribió el usuario):
+ *  - el dominio siempre en ASCII (IDN y punycode coinciden)
+ *  - las reglas de los proveedores indicados, p. ej. ["gmail"]
+ *
+ *   canonicalEmail("Ana.Lopez+x@googlemail.com", ["gmail"])
+ *     -> "analopez@gmail.com"
+ */
+export function canonicalEmail(address, providers = []) {
+  const parsed = parseEmail(address);
+  if (!parsed.ok) return String(address ?? "");
+
+  let local = parsed.local;
+  let domain = parsed.asciiDomain;
+
+  for (const name of providers) {
+    const provider = EMAIL_PROVIDERS[name];
+    if (!provider || !provider.domains.includes(domain)) continue;
+
+    if (provider.plusTags) local = local.split("+")[0];
+    if (provider.ignoreDots) local = local.replaceAll(".", "");
+    if (provider.ignoreCase) local = local.toLowerCase();
+    domain = provider.domain;
+  }
+
+  return `${local}@${domain}`;
+}
@@ -0,0 +1,160 @@
+/* ==========================================================
+   DEFINICIÓN DEL FORMULARIO (navegador + Node)
+   ==========================================================
+   El formulario del perfil ya no está escrito a mano en el
+   HTML: se describe en JSON (server/profile-form.json) y
+
+   - el servidor lo sirve en GET /api/form-schema y valida
+     /api/profile con el esquema que sale de él
+   - el navegador lo pide y construye los campos
+
+   Añadir un campo = añadir una entrada al JSON
+   (y, si se quiere, mensajes propios en i18n.mjs).
+
+   Cada campo:
+   {
+     "name": "website",            <- clave en el JSON enviado
+     "type": "url",                <- ver FIELD_TYPES
+     "label": "Web personal",
+     "hint": "...",                (opcional)
+     "placeholder": "...",         (opcional)
+     "autocomplete": "url",        (opcional)
+     "default": "html",            (opcional)
+     "options": [{ "value", "label" }],   (solo select)
+     "rows": 5, "counter": true,   (solo textarea)
+     "sanitize": "text",           <- ver SANITIZE_MODES
+     "format": "format",           (solo sanitize "html": campo con el formato)
+     "rules": { "required": true, "maxLength": 200 }
+   }
+   ========================================================== */
+
+import { RULES, PATTERNS } from "./validation.mjs";
+import { COMMENT_FORMATS } from "./markdown.mjs";
+
+/**
+ * FIELD_TYPES
+ * -----------
+ * Por cada tipo:
+ *  - sanitize: modo por defecto si el campo no indica otro
+ *  - rules:    reglas que el tipo añade solo (tras "required")
+ */
+export const FIELD_TYPES = {
+  text: { sanitize: "text", rules: {} },
+  email: { sanitize: "email", rules: { address: true } },
+  textarea: { sanitize: "text", rules: {} },
+  select: { sanitize: "text", rules: {} }, // + oneOf con sus opciones
+  checkbox: { sanitize: "boolean", rules: {} },
+  date: { sanitize: "text", rules: { date: true } },
+  url: { sanitize: "text", rules: { url: true } },
+};
+
+/**
+ * SANITIZE_MODES
+ * --------------
+ * Cómo se limpia el valor (normalizador de validation.mjs)
+ * y cómo se puede mostrar:
+ *  - text:    texto plano limpio; se muestra SIEMPRE escapado
+ *  - email:   como text + minúsculas
+ *  - boolean: true / false
+ *  - html:    se guarda tal cual y se muestra SANITIZADO
+ *             (HTML limitado o Markdown, según el campo "format")
+ */
+export const SANITIZE_MODES = {
+  text: "text",
+  email: "email",
+  boolean: "boolean",
+  html: "raw",
+};
+
+const fieldSanitize = (field) => field.sanitize ?? FIELD_TYPES[field.type].sanitize;
+
+/**
+ * checkFormDefinition(definition)
+ * -------------------------------
+ * Comprueba que la definición tiene sentido y lanza un Error
+ * explicando el primer problema. El servidor la comprueba al
+ * arrancar: mejor no arrancar que validar con reglas rotas.
+ */
+export function checkFormDefinition(definition) {
+  const fields = definition?.fields;
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error("Formulario: falta la lista \"fields\"");
+  }
+
+  const names = new Set();
+  for (const field of fields) {
+    const where = `Formulario, campo "${field?.name}"`;
+
+    if (typeof field?.name !== "string" || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(field.name)) {
+      throw new Error(`${where}: nombre no válido (solo letras y números)`);
+    }
+    if (names.has(field.name)) throw new Error(`${where}: nombre repetido`);
+    names.add(field.name);
+
+    if (!FIELD_TYPES[field.type]) throw new Error(`${where}: tipo desconocido "${field.type}"`);
+    if (typeof field.label !== "string" || !field.label) throw new Error(`${where}: falta "label"`);
+    if (!SANITIZE_MODES[fieldSanitize(field)]) {
+      throw new Error(`${where}: modo de sanitización desconocido "${field.sanitize}"`);
+    }
+
+    for (const rule of Object.keys(field.rules ?? {})) {
+      if (!RULES[rule]) throw new Error(`${where}: regla desconocida "${rule}"`);
+    }
+    if (field.rules?.pattern !== undefined && !PATTERNS[field.rules.pattern]) {
+      throw new Error(`${where}: patrón desconocido "${field.rules.pattern}"`);
+    }
+
+    if (field.type === "select") {
+      const ok = Array.isArray(field.options) && field.options.length > 0 &&
+        field.options.every((o) => typeof o?.value === "string" && typeof o.label === "string");
+      if (!ok) throw new Error(`${where}: un select necesita "options" [{ value, label }]`);
+    }
+  }
+
+  // Un campo html indica qué campo guarda su formato (html | markdown)
+  for (const field of fields.filter((f) => fieldSanitize(f) === "html" && f.format)) {
+    const formatField = fields.find((f) => f.name === field.format);
+    const ok = formatField?.type === "select" &&
+      formatField.options.every((o) => COMMENT_FORMATS.includes(o.value));
+    if (!ok) {
+      throw new Error(`Formulario, campo "${field.name}": "format" debe ser un select con ${COMMENT_FORMATS.join(" / ")}`);
+    }
+  }
+
+  return definition;
+}
+
+/**
+ * schemaFromForm(definition)
+ * --------------------------
+ * Esquema de validación (ver validation.mjs) del formulario:
+ *   { name: { normalize, default, rules }, ... }
+ * Orden de las reglas: required, las del tipo, oneOf
+ * (select) y después las del campo.
+ */
+export function schemaFromForm(definition) {
+  return Object.fromEntries(
+    definition.fields.map((field) => {
+      const { required, ...rules } = field.rules ?? {};
+      return [field.name, {
+        normalize: SANITIZE_MODES[fieldSanitize(field)],
+        ...(field.default !== undefined ? { default: field.default } : {}),
+        rules: {
+          ...(required !== undefined ? { required } : {}),
+          ...FIELD_TYPES[field.type].rules,
+          ...(field.type === "select" ? { oneOf: field.options.map((o) => o.value) } : {}),
+          ...rules,
+        },
+      }];
+    })
+  );
+}
+
+/**
+ * htmlFields(definition)
+ * ----------------------
+ * Campos que admiten HTML (se guardan también sanitizados).
+ */
+export function htmlFields(definition) {
+  return definition.fields.filter((field) => fieldSanitize(field) === "html");
+}
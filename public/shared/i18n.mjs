@@ -0,0 +1,362 @@
+/* ==========================================================
+   MENSAJES TRADUCIDOS (navegador + Node)
+   ==========================================================
+   Cada error tiene un CÓDIGO estable ("name.required") y
+   un texto por idioma. La API devuelve los dos:
+   - el código: para que cualquier cliente traduzca a su manera
+   - el texto:  ya traducido al idioma negociado
+
+   Idiomas: es (por defecto), en, ca.
+   Para añadir un mensaje: una entrada en CADA catálogo.
+   ========================================================== */
+
+export const DEFAULT_LOCALE = "es";
+
+export const CATALOGS = {
+  es: {
+    // Validación del perfil
+    "name.required": "El nombre es obligatorio.",
+    "name.pattern": "Solo letras, espacios, apóstrofos y guiones (sin separadores al principio, al final ni seguidos).",
+    "name.maxLength": "Máximo {max} caracteres.",
+    "name.singleScript": "No mezcles alfabetos distintos en el nombre.",
+    "name.notConfusable": "El nombre usa letras que imitan al alfabeto latino.",
+    "email.required": "El email es obligatorio.",
+    "email.at": "El email debe tener una sola @ con texto a cada lado.",
+    "email.quoted": "La parte entre comillas antes de la @ está mal formada.",
+    "email.localDots": "Antes de la @ no puede empezar ni acabar en punto ni tener dos seguidos.",
+    "email.localChars": "Hay caracteres no permitidos antes de la @.",
+    "email.localTooLong": "La parte antes de la @ admite como máximo {max} bytes.",
+    "email.domainDots": "El dominio no puede empezar ni acabar en punto ni tener dos seguidos.",
+    "email.domainChars": "El dominio tiene caracteres no permitidos.",
+    "email.labelTooLong": "Cada parte del dominio admite como máximo {max} caracteres.",
+    "email.labelHyphen": "Las partes del dominio no pueden empezar ni acabar en guion.",
+    "email.tld": "Falta la extensión del dominio (.com, .es...) o no es válida.",
+    "email.domainTooLong": "El dominio admite como máximo {max} caracteres.",
+    "email.tooLong": "El email admite como máximo {max} bytes.",
+    "email.disposable": "No se admiten emails de dominios desechables.",
+    "comment.maxLength": "Máximo {max} caracteres.",
+    "format.oneOf": "Formato no válido (html o markdown).",
+
+    // Mensajes genéricos (campos sin mensaje propio, p. ej. los nuevos del formulario)
+    "field.required": "Este campo es obligatorio.",
+    "field.minLength": "Mínimo {min} caracteres.",
+    "field.maxLength": "Máximo {max} caracteres.",
+    "field.pattern": "El formato no es válido.",
+    "field.oneOf": "Elige una de las opciones de la lista.",
+    "field.url": "URL no válida (debe empezar por http:// o https://).",
+    "field.date": "Fecha no válida.",
+    "field.minDate": "La fecha no puede ser anterior a {min}.",
+    "field.maxDate": "La fecha no puede ser posterior a {max}.",
+
+    // Contraseñas
+    "password.required": "La contraseña es obligatoria.",
+    "password.tooShort": "Contraseña demasiado corta (mín. {min}).",
+    "password.tooLong": "Contraseña demasiado larga (máx. {max}).",
+    "password.classes": "Usa al menos 3 tipos: minúsculas, mayúsculas, números, símbolos.",
+    "password.containsEmail": "La contraseña no puede contener tu email.",
+
+    // Cuentas y sesión
+    "account.emailTaken": "Ya existe una cuenta con ese email.",
+    "account.created": "Cuenta creada. Ya puedes hacer login.",
+    "auth.invalidCredentials": "Email o contraseña incorrectos.",
+    "auth.loginOk": "Login correcto (cookie httpOnly creada).",
+    "auth.logoutOk": "Logout correcto.",
+    "auth.required": "No autenticado.",
+
+    // Perfiles
+    "profile.emailTaken": "Ya existe un perfil con ese email.",
+    "profile.notFound": "Perfil no encontrado.",
+    "profile.notOwner": "Este perfil no es tuyo (o se guardó sin sesión iniciada).",
+    "profile.emailNotYours": "El email del perfil debe ser el de tu cuenta.",
+    "profile.deleted": "Perfil eliminado.",
+
+    // Avatar (POST /api/profile/avatar, ver avatar.mjs)
+    "avatar.required": "Falta la imagen (campo \"avatar\").",
+    "avatar.badUpload": "Envía un único fichero en el campo \"avatar\" (el id del perfil va en la URL).",
+    "avatar.tooLarge": "La imagen pesa demasiado (máx. {max} KB).",
+    "avatar.svgNotAllowed": "No se admiten imágenes SVG (pueden contener scripts).",
+    "avatar.unsupportedType": "Formato no admitido ({type}): usa PNG, JPEG, GIF o WebP.",
+    "avatar.typeMismatch": "El fichero dice ser {declared} pero su contenido es {detected}.",
+    "avatar.unreadable": "No se pueden leer las dimensiones de la imagen (¿fichero dañado?).",
+    "avatar.dimensions": "La imagen mide {width}×{height} px (máx. {maxWidth}×{maxHeight}).",
+    "avatar.tooSmall": "La imagen es demasiado pequeña (mín. {min} px de lado).",
+    "avatar.saved": "Avatar guardado.",
+    "avatar.notFound": "Avatar no encontrado.",
+
+    // Auditoría (filtros de /api/audit)
+    "audit.invalidDate": "Fecha no válida (usa ISO 8601, p. ej. 2026-01-31T10:00:00Z).",
+    "audit.invalidLimit": "El límite debe ser un número entre 1 y {max}.",
+
+    // Muro de comentarios (GET/DELETE /api/comments)
+    "comments.invalidPage": "La página debe ser un número entero desde 1.",
+    "comments.invalidPageSize": "El tamaño de página debe ser un número entre 1 y {max}.",
+    "comments.invalidSort": "Orden no válido (usa {allowed}).",
+    "comments.notFound": "Comentario no encontrado.",
+    "comments.notOwner": "Solo quien escribió el comentario puede borrarlo.",
+    "comments.deleted": "Comentario borrado.",
+
+    // Protecciones
+    "csrf.invalid": "Token CSRF ausente o inválido (pide uno en /api/csrf-token).",
+    "rateLimit.tooMany": "Demasiadas peticiones. Reintenta en {seconds} s.",
+    "lab.payloadsInvalid": "Máximo {max} payloads de hasta {maxLength} caracteres.",
+
+    // CORS (errores y explicaciones de /api/cors/debug)
+    "cors.noOrigin": "Sin cabecera Origin (misma página, curl...): CORS no aplica.",
+    "cors.sameOrigin": "Mismo origen que el servidor: CORS no aplica.",
+    "cors.originAllowed": "Origen permitido por el patrón {pattern}.",
+    "cors.originDenied": "Origen no permitido: {origin}.",
+    "cors.methodAllowed": "Método {method} permitido en esta ruta.",
+    "cors.methodDenied": "Método {method} no permitido en esta ruta (permitidos: {allowed}).",
+    "cors.headersAllowed": "Cabeceras permitidas: {headers}.",
+    "cors.headerDenied": "Cabecera {header} no permitida en esta ruta.",
+
+    // Errores generales de la API
+    "validation.failed": "Hay campos con errores.",
+    "request.invalidJson": "El cuerpo de la petición no es un JSON válido.",
+    "request.tooLarge": "El cuerpo de la petición supera el límite ({limit} bytes).",
+    "request.unsupportedEncoding": "Codificación del cuerpo no admitida.",
+    "request.unsupportedMediaType": "Tipo de contenido no admitido ({type}).",
+    "api.notFound": "No existe la ruta {method} {path}.",
+    "server.internal": "Error interno del servidor.",
+  },
+
+  en: {
+    "name.required": "Name is required.",
+    "name.pattern": "Only letters, spaces, apostrophes and hyphens (no separators at the start, at the end or in a row).",
+    "name.maxLength": "At most {max} characters.",
+    "name.singleScript": "Do not mix different alphabets in the name.",
+    "name.notConfusable": "The name uses letters that imitate the Latin alphabet.",
+    "email.required": "Email is required.",
+    "email.at": "The email must have a single @ with text on both sides.",
+    "email.quoted": "The quoted part before the @ is malformed.",
+    "email.localDots": "The part before the @ cannot start or end with a dot or have two in a row.",
+    "email.localChars": "There are characters not allowed before the @.",
+    "email.localTooLong": "The part before the @ allows at most {max} bytes.",
+    "email.domainDots": "The domain cannot start or end with a dot or have two in a row.",
+    "email.domainChars": "The domain has characters that are not allowed.",
+    "email.labelTooLong": "Each part of the domain allows at most {max} characters.",
+    "email.labelHyphen": "Domain parts cannot start or end with a hyphen.",
+    "email.tld": "The domain extension (.com, .org...) is missing or invalid.",
+    "email.domainTooLong": "The domain allows at most {max} characters.",
+    "email.tooLong": "The email allows at most {max} bytes.",
+    "email.disposable": "Disposable email domains are not allowed.",
+    "comment.maxLength": "At most {max} characters.",
+    "format.oneOf": "Invalid format (html or markdown).",
+
+    "field.required": "This field is required.",
+    "field.minLength": "At least {min} characters.",
+    "field.maxLength": "At most {max} characters.",
+    "field.pattern": "Invalid format.",
+    "field.oneOf": "Choose one of the options in the list.",
+    "field.url": "Invalid URL (it must start with http:// or https://).",
+    "field.date": "Invalid date.",
+    "field.minDate": "The date cannot be earlier than {min}.",
+    "field.maxDate": "The date cannot be later than {max}.",
+
+    "password.required": "Password is required.",
+    "password.tooShort": "Password too short (min. {min}).",
+    "password.tooLong": "Password too long (max. {max}).",
+    "password.classes": "Use at least 3 kinds: lowercase, uppercase, digits, symbols.",
+    "password.containsEmail": "The password cannot contain your email.",
+
+    "account.emailTaken": "An account with that email already exists.",
+    "account.created": "Account created. You can log in now.",
+    "auth.invalidCredentials": "Wrong email or password.",
+    "auth.loginOk": "Logged in (httpOnly cookie created).",
+    "auth.logoutOk": "Logged out.",
+    "auth.required": "Not authenticated.",
+
+    "profile.emailTaken": "A profile with that email already exists.",
+    "profile.notFound": "Profile not found.",
+    "profile.notOwner": "This profile is not yours (or it was saved without logging in).",
+    "profile.emailNotYours": "The profile email must be your account email.",
+    "profile.deleted": "Profile deleted.",
+
+    "avatar.required": "The image is missing (\"avatar\" field).",
+    "avatar.badUpload": "Send a single file in the \"avatar\" field (the profile id goes in the URL).",
+    "avatar.tooLarge": "The image is too large (max. {max} KB).",
+    "avatar.svgNotAllowed": "SVG images are not allowed (they can contain scripts).",
+    "avatar.unsupportedType": "Unsupported format ({type}): use PNG, JPEG, GIF or WebP.",
+    "avatar.typeMismatch": "The file claims to be {declared} but its content is {detected}.",
+    "avatar.unreadable": "The image dimensions cannot be read (damaged file?).",
+    "avatar.dimensions": "The image is {width}×{height} px (max. {maxWidth}×{maxHeight}).",
+    "avatar.tooSmall": "The image is too small (min. {min} px per side).",
+    "avatar.saved": "Avatar saved.",
+    "avatar.notFound": "Avatar not found.",
+
+    "audit.invalidDate": "Invalid date (use ISO 8601, e.g. 2026-01-31T10:00:00Z).",
+    "audit.invalidLimit": "The limit must be a number between 1 and {max}.",
+
+    "comments.invalidPage": "The page must be a whole number from 1.",
+    "comments.invalidPageSize": "The page size must be a number between 1 and {max}.",
+    "comments.invalidSort": "Invalid order (use {allowed}).",
+    "comments.notFound": "Comment not found.",
+    "comments.notOwner": "Only the author of the comment can delete it.",
+    "comments.deleted": "Comment deleted.",
+
+    "csrf.invalid": "Missing or invalid CSRF token (get one from /api/csrf-token).",
+    "rateLimit.tooMany": "Too many requests. Retry in {seconds} s.",
+    "lab.payloadsInvalid": "At most {max} payloads of up to {maxLength} characters.",
+
+    "cors.noOrigin": "No Origin header (same page, curl...): CORS does not apply.",
+    "cors.sameOrigin": "Same origin as the server: CORS does not apply.",
+    "cors.originAllowed": "Origin allowed by pattern {pattern}.",
+    "cors.originDenied": "Origin not allowed: {origin}.",
+    "cors.methodAllowed": "Method {method} allowed on this route.",
+    "cors.methodDenied": "Method {method} not allowed on this route (allowed: {allowed}).",
+    "cors.headersAllowed": "Allowed headers: {headers}.",
+    "cors.headerDenied": "Header {header} not allowed on this route.",
+
+    "validation.failed": "Some fields have errors.",
+    "request.invalidJson": "The request body is not valid JSON.",
+    "request.tooLarge": "The request body exceeds the limit ({limit} bytes).",
+    "request.unsupportedEncoding": "Unsupported body encoding.",
+    "request.unsupportedMediaType": "Unsupported content type ({type}).",
+    "api.notFound": "Route {method} {path} does not exist.",
+    "server.internal": "Internal server error.",
+  },
+
+  ca: {
+    "name.required": "El nom és obligatori.",
+    "name.pattern": "Només lletres, espais, apòstrofs i guions (sense separadors al principi, al final ni seguits).",
+    "name.maxLength": "Màxim {max} caràcters.",
+    "name.singleScript": "No barregis alfabets diferents al nom.",
+    "name.notConfusable": "El nom fa servir lletres que imiten l'alfabet llatí.",
+    "email.required": "El correu és obligatori.",
+    "email.at": "El correu ha de tenir una sola @ amb text a cada costat.",
+    "email.quoted": "La part entre cometes abans de la @ està mal formada.",
+    "email.localDots": "Abans de la @ no pot començar ni acabar en punt ni tenir-ne dos de seguits.",
+    "email.localChars": "Hi ha caràcters no permesos abans de la @.",
+    "email.localTooLong": "La part abans de la @ admet com a màxim {max} bytes.",
+    "email.domainDots": "El domini no pot començar ni acabar en punt ni tenir-ne dos de seguits.",
+    "email.domainChars": "El domini té caràcters no permesos.",
+    "email.labelTooLong": "Cada part del domini admet com a màxim {max} caràcters.",
+    "email.labelHyphen": "Les parts del domini no poden començar ni acabar en guionet.",
+    "email.tld": "Falta l'extensió del domini (.cat, .com...) o no és vàlida.",
+    "email.domainTooLong": "El domini admet com a màxim {max} caràcters.",
+    "email.tooLong": "El correu admet com a màxim {max} bytes.",
+    "email.disposable": "No s'admeten correus de dominis d'un sol ús.",
+    "comment.maxLength": "Màxim {max} caràcters.",
+    "format.oneOf": "Format no vàlid (html o markdown).",
+
+    "field.required": "Aquest camp és obligatori.",
+    "field.minLength": "Mínim {min} caràcters.",
+    "field.maxLength": "Màxim {max} caràcters.",
+    "field.pattern": "El format no és vàlid.",
+    "field.oneOf": "Tria una de les opcions de la llista.",
+    "field.url": "URL no vàlida (ha de començar per http:// o https://).",
+    "field.date": "Data no vàlida.",
+    "field.minDate": "La data no pot ser anterior a {min}.",
+    "field.maxDate": "La data no pot ser posterior a {max}.",
+
+    "password.required": "La contrasenya és obligatòria.",
+    "password.tooShort": "Contrasenya massa curta (mín. {min}).",
+    "password.tooLong": "Contrasenya massa llarga (màx. {max}).",
+    "password.classes": "Fes servir almenys 3 tipus: minúscules, majúscules, números, símbols.",
+    "password.containsEmail": "La contrasenya no pot contenir el teu correu.",
+
+    "account.emailTaken": "Ja existeix un compte amb aquest correu.",
+    "account.created": "Compte creat. Ja pots iniciar la sessió.",
+    "auth.invalidCredentials": "Correu o contrasenya incorrectes.",
+    "auth.loginOk": "Sessió iniciada (galeta httpOnly creada).",
+    "auth.logoutOk": "Sessió tancada.",
+    "auth.required": "No autenticat.",
+
+    "profile.emailTaken": "Ja existeix un perfil amb aquest correu.",
+    "profile.notFound": "Perfil no trobat.",
+    "profile.notOwner": "Aquest perfil no és teu (o es va desar sense haver iniciat la sessió).",
+    "profile.emailNotYours": "El correu del perfil ha de ser el del teu compte.",
+    "profile.deleted": "Perfil eliminat.",
+
+    "avatar.required": "Falta la imatge (camp \"avatar\").",
+    "avatar.badUpload": "Envia un únic fitxer al camp \"avatar\" (l'id del perfil va a la URL).",
+    "avatar.tooLarge": "La imatge pesa massa (màx. {max} KB).",
+    "avatar.svgNotAllowed": "No s'admeten imatges SVG (poden contenir scripts).",
+    "avatar.unsupportedType": "Format no admès ({type}): fes servir PNG, JPEG, GIF o WebP.",
+    "avatar.typeMismatch": "El fitxer diu ser {declared} però el seu contingut és {detected}.",
+    "avatar.unreadable": "No es poden llegir les dimensions de la imatge (fitxer malmès?).",
+    "avatar.dimensions": "La imatge fa {width}×{height} px (màx. {maxWidth}×{maxHeight}).",
+    "avatar.tooSmall": "La imatge és massa petita (mín. {min} px de costat).",
+    "avatar.saved": "Avatar desat.",
+    "avatar.notFound": "Avatar no trobat.",
+
+    "audit.invalidDate": "Data no vàlida (fes servir ISO 8601, p. ex. 2026-01-31T10:00:00Z).",
+    "audit.invalidLimit": "El límit ha de ser un nombre entre 1 i {max}.",
+
+    "comments.invalidPage": "La pàgina ha de ser un nombre enter a partir d'1.",
+    "comments.invalidPageSize": "La mida de pàgina ha de ser un nombre entre 1 i {max}.",
+    "comments.invalidSort": "Ordre no vàlid (fes servir {allowed}).",
+    "comments.notFound": "Comentari no trobat.",
+    "comments.notOwner": "Només qui ha escrit el comentari el pot esborrar.",
+    "comments.deleted": "Comentari esborrat.",
+
+    "csrf.invalid": "Falta el testimoni CSRF o no és vàlid (demana'n un a /api/csrf-token).",
+    "rateLimit.tooMany": "Massa peticions. Torna-ho a provar d'aquí a {seconds} s.",
+    "lab.payloadsInvalid": "Màxim {max} payloads de fins a {maxLength} caràcters.",
+
+    "cors.noOrigin": "Sense capçalera Origin (mateixa pàgina, curl...): CORS no s'aplica.",
+    "cors.sameOrigin": "Mateix origen que el servidor: CORS no s'aplica.",
+    "cors.originAllowed": "Origen permès pel patró {pattern}.",
+    "cors.originDenied": "Origen no permès: {origin}.",
+    "cors.methodAllowed": "Mètode {method} permès en aquesta ruta.",
+    "cors.methodDenied": "Mètode {method} no permès en aquesta ruta (permesos: {allowed}).",
+    "cors.headersAllowed": "Capçaleres permeses: {headers}.",
+    "cors.headerDenied": "Capçalera {header} no permesa en aquesta ruta.",
+
+    "validation.failed": "Hi ha camps amb errors.",
+    "request.invalidJson": "El cos de la petició no és un JSON vàlid.",
+    "request.tooLarge": "El cos de la petició supera el límit ({limit} bytes).",
+    "request.unsupportedEncoding": "Codificació del cos no admesa.",
+    "request.unsupportedMediaType": "Tipus de contingut no admès ({type}).",
+    "api.notFound": "No existeix la ruta {method} {path}.",
+    "server.internal": "Error intern del servidor.",
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * t(locale, code, params)
+ * -----------------------
+ * Texto del código en ese idioma, con {variables} sustituidas.
+ * Si falta la traducción se usa el español; si tampoco existe,
+ * se devuelve el propio código (mejor que un texto vacío).
+ */
+export function t(locale, code, params = {}) {
+  const text =
+    CATALOGS[locale]?.[code] ?? CATALOGS[DEFAULT_LOCALE][code] ?? code;
+  return text.replace(/\{(\w+)\}/g, (m, key) => String(params[key] ?? m));
+}
+
+/**
+ * hasMessage(code)
+ * ----------------
+ * ¿Existe el código en el catálogo (al menos en español)?
+ */
+export function hasMessage(code) {
+  return Object.hasOwn(CATALOGS[DEFAULT_LOCALE], code);
+}
+
+/**
+ * negotiateLocale(acceptLanguage)
+ * -------------------------------
+ * Elige idioma a partir de la cabecera Accept-Language:
+ *   "ca-ES,ca;q=0.9,en;q=0.8" -> "ca"
+ * Se ordena por peso (q) y se compara solo el idioma base (ca-ES -> ca).
+ */
+export function negotiateLocale(acceptLanguage = "") {
+  const ranked = String(acceptLanguage)
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params
+        .map((p) => p.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+      return { lang: tag.toLowerCase().split("-")[0], q: q ? Number(q[1]) : 1 };
+    })
+    .filter((entry) => entry.lang && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return ranked.find((entry) => SUPPORTED_LOCALES.includes(entry.lang))?.lang
+    ?? DEFAULT_LOCALE;
+}
@@ -0,0 +1,46 @@
+/* ==========================================================
+   COMENTARIOS EN MARKDOWN (navegador + Node)
+   ==========================================================
+   El comentario puede escribirse en dos formatos:
+   - "html":     HTML limitado (como hasta ahora)
+   - "markdown": se convierte a HTML con marked
+
+   En los dos casos el HTML resultante SE SANITIZA después:
+   Markdown admite HTML "crudo" dentro del texto, así que
+   convertir no es lo mismo que limpiar.
+
+     fuente --(marked, si es markdown)--> HTML --(sanitizar)--> seguro
+
+   Cada lado pasa su propia copia de marked (el navegador la
+   carga de /vendor/marked, Node de node_modules) y su sanitizador.
+   ========================================================== */
+
+export const COMMENT_FORMATS = ["html", "markdown"];
+
+/**
+ * Opciones de marked iguales en cliente y servidor:
+ *  - gfm:    Markdown "de GitHub" (listas, enlaces automáticos...)
+ *  - breaks: un salto de línea simple es un <br>
+ *  - async:  parse() devuelve un string, no una promesa
+ */
+export const MARKDOWN_OPTIONS = { gfm: true, breaks: true, async: false };
+
+/**
+ * commentToHtml(source, format, marked)
+ * -------------------------------------
+ * HTML SIN SANITIZAR del comentario (lo que llega al sanitizador).
+ */
+export function commentToHtml(source, format, marked) {
+  return format === "markdown"
+    ? marked.parse(String(source ?? ""), MARKDOWN_OPTIONS)
+    : String(source ?? "");
+}
+
+/**
+ * renderComment(source, format, { marked, sanitize })
+ * ---------------------------------------------------
+ * Devuelve el HTML YA SANITIZADO del comentario.
+ */
+export function renderComment(source, format, { marked, sanitize }) {
+  return sanitize(commentToHtml(source, format, marked));
+}
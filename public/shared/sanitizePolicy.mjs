@@ -0,0 +1,147 @@
+/* ==========================================================
+   POLÍTICA DE SANITIZACIÓN COMPARTIDA (navegador + Node)
+   ==========================================================
+   Una sola lista blanca para los dos sanitizadores:
+   - cliente:  DOMPurify     -> domPurifyConfig(purify, policy)
+   - servidor: sanitize-html -> sanitizeHtmlOptions(policy)
+
+   Antes cada lado tenía su lista y ya no coincidían
+   (el cliente permitía href en CUALQUIER etiqueta).
+   Ahora se cambia aquí y afecta a los dos.
+   ========================================================== */
+
+/**
+ * COMMENT_POLICY
+ * --------------
+ * "No se trata de bloquear lo malo; se trata de permitir solo lo bueno"
+ *
+ *  - tags:       etiquetas permitidas (formato). Incluye todo lo que
+ *                genera marked desde Markdown (# título, > cita, ---,
+ *                ~~tachado~~, tablas de GFM): si no, se perdería sin
+ *                avisar (y DOMPurify, además, borra el texto de <thead>
+ *                al quitarlo, mientras que sanitize-html lo deja).
+ *  - attributes: atributos permitidos POR ETIQUETA
+ *  - schemes:    esquemas de URL permitidos
+ *                (fuera javascript:, data:, vbscript:...)
+ *  - urlAttributes: atributos que contienen una URL (se les aplica schemes)
+ *  - linkRel:    rel que se FUERZA en todos los <a>
+ *                (noopener: la nueva pestaña no controla window.opener)
+ *  - targets:    únicos valores de target permitidos (el resto se quita)
+ */
+export const COMMENT_POLICY = {
+  tags: [
+    "b", "i", "em", "strong", "u", "del",
+    "p", "br", "hr", "blockquote",
+    "h1", "h2", "h3", "h4", "h5", "h6",
+    "ul", "ol", "li",
+    "code", "pre",
+    "table", "thead", "tbody", "tr", "th", "td",
+    "a"
+  ],
+  attributes: {
+    a: ["href", "target", "rel"],
+  },
+  schemes: ["http", "https", "mailto"],
+  urlAttributes: ["href"],
+  linkRel: "noopener noreferrer",
+  targets: ["_blank"],
+};
+
+/**
+ * normalizeLinkAttrs(attrs, policy)
+ * ---------------------------------
+ * Regla común para <a>, la usan los dos sanitizadores:
+ *  - target: solo si está en policy.targets
+ *  - rel:    siempre policy.linkRel (se ignora el del usuario)
+ */
+export function normalizeLinkAttrs(attrs, policy = COMMENT_POLICY) {
+  const out = { ...attrs };
+  if (!policy.targets.includes(out.target)) delete out.target;
+  out.rel = policy.linkRel;
+  return out;
+}
+
+/**
+ * uriRegex(policy)
+ * ----------------
+ * Regex de URLs permitidas (formato de DOMPurify):
+ *  - empieza por un esquema permitido (https:, mailto:...)
+ *  - o es relativa (no tiene "esquema:" delante)
+ */
+export function uriRegex(policy = COMMENT_POLICY) {
+  return new RegExp(
+    `^(?:(?:${policy.schemes.join("|")}):|[^a-z]|[a-z+.\\-]+(?:[^a-z+.\\-:]|$))`,
+    "i"
+  );
+}
+
+/* ==========================================================
+   ADAPTADORES
+   ========================================================== */
+
+/**
+ * domPurifyConfig(purify, policy)
+ * -------------------------------
+ * Configura una INSTANCIA de DOMPurify y devuelve su config.
+ *
+ * DOMPurify solo entiende una lista global de atributos, así que
+ * los atributos por etiqueta y los <a> se controlan con hooks.
+ * Los hooks son de la instancia: usa una propia (DOMPurify(window))
+ * para no afectar a otros usos de DOMPurify en la página.
+ */
+export function domPurifyConfig(purify, policy = COMMENT_POLICY) {
+  purify.addHook("uponSanitizeAttribute", (node, data) => {
+    const allowed = policy.attributes[node.nodeName.toLowerCase()] || [];
+    if (!allowed.includes(data.attrName)) data.keepAttr = false;
+  });
+
+  purify.addHook("afterSanitizeAttributes", (node) => {
+    if (node.nodeName.toLowerCase() !== "a") return;
+
+    const attrs = normalizeLinkAttrs({
+      target: node.getAttribute("target") ?? undefined,
+      rel: node.getAttribute("rel") ?? undefined,
+    }, policy);
+
+    if (attrs.target) node.setAttribute("target", attrs.target);
+    else node.removeAttribute("target");
+    node.setAttribute("rel", attrs.rel);
+  });
+
+  return {
+    ALLOWED_TAGS: policy.tags,
+    ALLOWED_ATTR: [...new Set(Object.values(policy.attributes).flat())],
+    ALLOWED_URI_REGEXP: uriRegex(policy),
+  };
+}
+
+/*
+  SVG y MathML: DOMPurify (sin esas etiquetas en la lista) borra
+  el árbol ENTERO, texto y etiquetas "permitidas" incluidas
+  (<math><mtext><table>... es un clásico de mXSS).
+  sanitize-html solo quita la etiqueta y deja lo de dentro, así
+  que allí se "admiten" para poder descartarlas enteras con
+  exclusiveFilter (que solo se aplica a etiquetas admitidas).
+*/
+const FOREIGN_ROOTS = ["svg", "math"];
+
+/**
+ * sanitizeHtmlOptions(policy)
+ * ---------------------------
+ * Opciones equivalentes para sanitize-html (servidor).
+ */
+export function sanitizeHtmlOptions(policy = COMMENT_POLICY) {
+  return {
+    allowedTags: [...policy.tags, ...FOREIGN_ROOTS],
+    exclusiveFilter: (frame) => FOREIGN_ROOTS.includes(frame.tag),
+    allowedAttributes: policy.attributes,
+    allowedSchemes: policy.schemes,
+    allowedSchemesAppliedToAttributes: policy.urlAttributes,
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: normalizeLinkAttrs(attribs, policy),
+      }),
+    },
+  };
+}
@@ -0,0 +1,109 @@
+/* ==========================================================
+   UNICODE: caracteres invisibles, alfabetos y homógrafos
+   ==========================================================
+   Utilidades para validar nombres de cualquier idioma
+   sin abrir la puerta a trucos con Unicode:
+
+   - caracteres invisibles (zero-width) y de control bidi,
+     que cambian cómo SE VE un texto sin cambiar lo que ES
+   - mezcla de alfabetos: "Pаypal" con una "а" cirílica
+   - homógrafos: un nombre entero en cirílico que "parece" latino
+   ========================================================== */
+
+/**
+ * INVISIBLE_CHARS
+ * ---------------
+ *  U+00AD         guion blando
+ *  U+180E         separador de vocales mongol
+ *  U+200B-U+200F  zero-width space/joiner/non-joiner, marcas LRM/RLM
+ *  U+202A-U+202E  incrustaciones y overrides bidi (LRE, RLE, PDF, LRO, RLO)
+ *  U+2060-U+2064  word joiner y operadores invisibles
+ *  U+2066-U+2069  aislamientos bidi (LRI, RLI, FSI, PDI)
+ *  U+FEFF         BOM / zero-width no-break space
+ *
+ * Con un RLO (U+202E) "Ana<RLO>exe.txt" se muestra como "Anatxt.exe".
+ */
+export const INVISIBLE_CHARS =
+  /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+export function stripInvisible(str) {
+  return String(str).replace(INVISIBLE_CHARS, "");
+}
+
+/**
+ * Alfabetos que reconocemos (Unicode Script property).
+ * Las letras de otros alfabetos cuentan como "Other".
+ */
+const SCRIPTS = [
+  "Latin", "Greek", "Cyrillic", "Armenian", "Georgian",
+  "Hebrew", "Arabic", "Devanagari", "Bengali", "Tamil", "Thai",
+  "Han", "Hiragana", "Katakana", "Hangul",
+].map((name) => [name, new RegExp(`\\p{Script=${name}}`, "u")]);
+
+/**
+ * Combinaciones de alfabetos que son NORMALES en un nombre:
+ *  - japonés: kanji (Han) + hiragana + katakana
+ *  - coreano: hangul + hanja (Han)
+ */
+const ALLOWED_MIXES = [
+  ["Han", "Hiragana", "Katakana"],
+  ["Han", "Hangul"],
+];
+
+/**
+ * scriptsOf(str)
+ * --------------
+ * Conjunto de alfabetos de las LETRAS del texto
+ * (espacios, guiones y marcas no cuentan).
+ */
+export function scriptsOf(str) {
+  const found = new Set();
+  for (const ch of String(str)) {
+    if (!/\p{L}/u.test(ch)) continue;
+    const match = SCRIPTS.find(([, re]) => re.test(ch));
+    found.add(match ? match[0] : "Other");
+  }
+  return found;
+}
+
+/**
+ * isSingleScript(str)
+ * -------------------
+ * true si todas las letras son del mismo alfabeto
+ * (o de una combinación habitual, como el japonés).
+ */
+export function isSingleScript(str) {
+  const scripts = [...scriptsOf(str)];
+  if (scripts.length <= 1) return true;
+  return ALLOWED_MIXES.some((mix) => scripts.every((s) => mix.includes(s)));
+}
+
+/**
+ * Letras cirílicas y griegas que se confunden con latinas
+ * (subconjunto de confusables.txt de Unicode).
+ */
+const CONFUSABLES = {
+  // Cirílico
+  "а": "a", "в": "b", "е": "e", "к": "k", "м": "m", "н": "h", "о": "o",
+  "р": "p", "с": "c", "т": "t", "у": "y", "х": "x", "і": "i", "ј": "j",
+  "ѕ": "s", "ԁ": "d", "ԛ": "q", "ԝ": "w",
+  "А": "A", "В": "B", "Е": "E", "К": "K", "М": "M", "Н": "H", "О": "O",
+  "Р": "P", "С": "C", "Т": "T", "У": "Y", "Х": "X", "І": "I", "Ј": "J", "Ѕ": "S",
+  // Griego
+  "α": "a", "ο": "o", "ν": "v", "ι": "i", "κ": "k", "ρ": "p", "τ": "t", "υ": "u",
+  "Α": "A", "Β": "B", "Ε": "E", "Ζ": "Z", "Η": "H", "Ι": "I", "Κ": "K",
+  "Μ": "M", "Ν": "N", "Ο": "O", "Ρ": "P", "Τ": "T", "Υ": "Y", "Χ": "X",
+};
+
+/**
+ * isWholeScriptConfusable(str)
+ * ----------------------------
+ * true si el texto NO es latino pero TODAS sus letras tienen
+ * un "doble" latino: "Раура" (cirílico) se lee como "Paypa".
+ * Es el truco típico para suplantar nombres conocidos.
+ */
+export function isWholeScriptConfusable(str) {
+  const letters = [...String(str)].filter((ch) => /\p{L}/u.test(ch));
+  if (letters.length === 0 || scriptsOf(str).has("Latin")) return false;
+  return letters.every((ch) => CONFUSABLES[ch] !== undefined);
+}
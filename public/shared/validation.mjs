@@ -0,0 +1,298 @@
+/* ==========================================================
+   VALIDACIÓN COMPARTIDA (navegador + Node)
+   ==========================================================
+   Este módulo lo cargan:
+   - el navegador:  import ... from "./shared/validation.mjs"
+   - el servidor:   import ... from "../public/shared/validation.mjs"
+
+   Así las regex, la limpieza y los MENSAJES son los mismos en
+   los dos lados. Los campos del perfil NO están aquí: vienen
+   de la definición del formulario (server/profile-form.json,
+   ver formSchema.mjs). Aquí están las piezas: limpiezas,
+   reglas y el motor que las aplica.
+
+   IMPORTANTE: aquí no puede haber nada de DOM ni de Node
+   (ni document, ni fs...): solo JavaScript "puro".
+   ========================================================== */
+
+import { DEFAULT_LOCALE, t, hasMessage } from "./i18n.mjs";
+import { stripInvisible, isSingleScript, isWholeScriptConfusable } from "./unicode.mjs";
+import { parseEmail } from "./email.mjs";
+
+/**
+ * cleanText(str)
+ * -------------
+ * Objetivo: "Campos limpios"
+ * Antes de validar y guardar, normalizamos el texto:
+ *  - Convertimos a string (por si viene null/undefined/número)
+ *  - Normalizamos a NFC: "é" puede escribirse como 1 carácter (U+00E9)
+ *    o como "e" + acento combinable (U+0065 U+0301); NFC deja siempre
+ *    la forma compuesta, así las dos formas de "José" son el MISMO texto
+ *  - Quitamos caracteres invisibles y de control bidi (ver unicode.mjs)
+ *  - Quitamos espacios al inicio/fin (trim)
+ *  - Convertimos múltiples espacios/tabs/saltos en 1 solo espacio
+ *
+ * ¿Por qué?
+ *  - El usuario puede pegar texto con espacios raros
+ *  - Evitamos que " Ana   López " falle por culpa de espacios
+ *  - Un zero-width space hace que "Ana" y "A\u200Bna" se vean iguales
+ *    siendo distintos (duplicados, suplantación...)
+ *  - Homogeneiza los datos guardados ("calidad del dato")
+ */
+export function cleanText(str) {
+  return stripInvisible(String(str ?? "").normalize("NFC"))
+    .trim()                 // elimina espacios al inicio y al final
+    .replace(/\s+/g, " ");  // regex: \s = cualquier espacio (tab, salto, etc.), + = 1 o más
+                            //      g  = global (todas las ocurrencias)
+}
+
+/**
+ * nameRegex
+ * ---------
+ * /^\p{L}\p{M}*(?:[ '’-]?\p{L}\p{M}*)*$/u
+ *
+ * EXPLICACIÓN POR PARTES:
+ * u      -> modo Unicode: necesario para usar \p{...}
+ * \p{L}  -> cualquier LETRA de cualquier alfabeto (á, ł, ß, ж, 李...)
+ * \p{M}* -> marcas combinables detrás de la letra (acentos sueltos,
+ *           vocales del devanagari...)
+ * (?: ... )* -> el resto del nombre, repetido 0 o más veces:
+ *    [ '’-]?  -> como mucho UN separador (espacio, apóstrofo o guion)
+ *    \p{L}\p{M}* -> seguido siempre de otra letra
+ *
+ * Es decir: empieza y termina en letra y los separadores
+ * nunca van seguidos ("Ana--Mar", "O' Brien" no valen).
+ * La longitud (máx. 50) la comprueba la regla maxLength.
+ *
+ * EJEMPLOS:
+ *  ok "Ana López"          (letras + espacio)
+ *  ok "Zoë", "Łukasz"      (letras de otros idiomas)
+ *  ok "O'Brien", "Jean-Luc"
+ *  ok "李小龙"              (no solo alfabeto latino)
+ *  ko "Ana123"             (números no permitidos)
+ *  ko "Ana<>"              (caracteres raros no permitidos)
+ *  ko "-Ana", "Ana-"       (separador al principio o al final)
+ */
+export const nameRegex = /^\p{L}\p{M}*(?:[ '’-]?\p{L}\p{M}*)*$/u;
+
+/**
+ * PATTERNS
+ * --------
+ * Regex que se pueden usar en la regla "pattern" por NOMBRE:
+ *   rules: { pattern: "personName" }
+ * La definición del formulario es JSON: no puede llevar regex,
+ * y así tampoco se cuela una regex lenta (ReDoS) desde un fichero.
+ */
+export const PATTERNS = {
+  personName: nameRegex,
+};
+
+/* ==========================================================
+   NORMALIZADORES
+   ========================================================== */
+
+/**
+ * Cada campo indica por nombre cómo se limpia:
+ *  - text:    cleanText
+ *  - email:   cleanText + minúsculas (se trata como case-insensitive)
+ *  - raw:     solo a string (el comentario conserva saltos de línea y HTML)
+ *  - boolean: true/false (casillas: true, "true" u "on" son true)
+ */
+export const NORMALIZERS = {
+  text: (raw) => cleanText(raw),
+  email: (raw) => cleanText(raw).toLowerCase(),
+  raw: (raw) => String(raw ?? ""),
+  boolean: (raw) => raw === true || raw === "true" || raw === "on",
+};
+
+/**
+ * Valor "vacío": texto vacío o casilla sin marcar.
+ */
+export const isEmptyValue = (value) => value === "" || value === false;
+
+/**
+ * Fecha "AAAA-MM-DD" (la de <input type="date">) que existe de verdad
+ * (no "2026-02-30").
+ */
+function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * "today" -> fecha de hoy (UTC) en formato AAAA-MM-DD.
+ * Las fechas ISO se comparan bien como texto.
+ */
+const resolveDate = (param) =>
+  param === "today" ? new Date().toISOString().slice(0, 10) : param;
+
+/* ==========================================================
+   REGLAS
+   ========================================================== */
+
+/**
+ * Cada regla recibe el valor YA normalizado y su parámetro,
+ * y devuelve true si el valor la cumple.
+ *
+ * Una regla compuesta (como "address") puede devolver, en vez
+ * de false, la sub-regla concreta que falla: { rule, params }.
+ * El código será entonces "<campo>.<sub-regla>" ("email.localDots").
+ *
+ * "required" se evalúa siempre primero; el resto solo
+ * si hay valor (un campo opcional vacío es válido).
+ */
+export const RULES = {
+  required: (value, enabled) => !enabled || !isEmptyValue(value),
+  pattern: (value, name) => PATTERNS[name].test(value),
+  minLength: (value, min) => value.length >= min,
+  maxLength: (value, max) => value.length <= max,
+  oneOf: (value, options) => options.includes(value),
+  // Todas las letras del mismo alfabeto (no "Pаblo" con "а" cirílica)
+  singleScript: (value, enabled) => !enabled || isSingleScript(value),
+  // No un nombre entero hecho de letras que imitan a las latinas
+  notConfusable: (value, enabled) => !enabled || !isWholeScriptConfusable(value),
+  // Dirección de email completa (ver email.mjs)
+  address: (value, enabled) => {
+    if (!enabled) return true;
+    const parsed = parseEmail(value);
+    return parsed.ok || { rule: parsed.rule, params: parsed.params };
+  },
+  // URL absoluta http(s) (nada de javascript:, data:...)
+  url: (value, enabled) => {
+    if (!enabled) return true;
+    try {
+      const url = new URL(value);
+      return ["http:", "https:"].includes(url.protocol) && !/\s/.test(value);
+    } catch {
+      return false;
+    }
+  },
+  date: (value, enabled) => !enabled || isIsoDate(value),
+  // Límites de fecha: "AAAA-MM-DD" o "today"
+  minDate: (value, min) =>
+    value >= resolveDate(min) || { rule: "minDate", params: { min: resolveDate(min) } },
+  maxDate: (value, max) =>
+    value <= resolveDate(max) || { rule: "maxDate", params: { max: resolveDate(max) } },
+};
+
+/* ==========================================================
+   ESQUEMAS
+   ========================================================== */
+
+/**
+ * Un esquema tiene, por cada campo:
+ *  - normalize: nombre del normalizador
+ *  - default:   (opcional) valor si llega vacío
+ *  - rules:     reglas en orden de comprobación
+ *
+ * El mensaje de cada regla es el código "<campo>.<regla>"
+ * del catálogo de i18n.mjs (p. ej. "name.pattern"); si ese
+ * campo no tiene mensaje propio, se usa el genérico "field.<regla>".
+ *
+ * El esquema del perfil se genera a partir de la definición
+ * del formulario (schemaFromForm en formSchema.mjs).
+ */
+
+/**
+ * ACCOUNT_SCHEMA
+ * --------------
+ * Email de registro y login: mismas reglas y códigos que
+ * el email del perfil, pero sin depender del formulario.
+ */
+export const ACCOUNT_SCHEMA = {
+  email: {
+    normalize: "email",
+    rules: { required: true, address: true },
+  },
+};
+
+/* ==========================================================
+   MOTOR DE VALIDACIÓN
+   ========================================================== */
+
+/**
+ * Nombre con el que el parámetro de la regla llega al mensaje:
+ * "Máximo {max} caracteres." <- maxLength: 500
+ */
+const RULE_PARAMS = {
+  minLength: "min",
+  maxLength: "max",
+};
+
+/**
+ * validateField(schema, field, raw, locale)
+ * -----------------------------------------
+ * Devuelve el formato que usa el formulario:
+ *  - ok: boolean
+ *  - value: valor normalizado
+ *  - code: código estable del error ("" si es válido)
+ *  - msg: mensaje de error traducido ("" si es válido)
+ */
+export function validateField(schema, field, raw, locale = DEFAULT_LOCALE) {
+  const def = schema[field];
+  let value = NORMALIZERS[def.normalize](raw);
+  if (value === "" && def.default !== undefined) value = def.default;
+
+  for (const [rule, param] of Object.entries(def.rules)) {
+    // Campo opcional vacío: no se comprueba nada más
+    if (rule !== "required" && isEmptyValue(value)) continue;
+
+    const result = RULES[rule](value, param);
+    if (result === true) continue;
+
+    // false -> falla la regla; objeto -> falla una sub-regla concreta
+    const failed = result || {
+      rule,
+      params: RULE_PARAMS[rule] ? { [RULE_PARAMS[rule]]: param } : {},
+    };
+    const code = `${field}.${failed.rule}`;
+    const message = hasMessage(code) ? code : `field.${failed.rule}`;
+    return { ok: false, value, code, msg: t(locale, message, failed.params) };
+  }
+
+  return { ok: true, value, code: "", msg: "" };
+}
+
+/**
+ * validateObject(schema, data, locale)
+ * ------------------------------------
+ * Valida todos los campos del esquema a la vez.
+ * Devuelve el formato que usa el servidor:
+ *  - ok: boolean
+ *  - cleaned: { campo: valor normalizado }
+ *  - errors:  { campo: mensaje traducido } (solo los que fallan)
+ *  - codes:   { campo: código estable }    (los mismos campos)
+ */
+export function validateObject(schema, data = {}, locale = DEFAULT_LOCALE) {
+  const cleaned = {};
+  const errors = {};
+  const codes = {};
+
+  for (const field of Object.keys(schema)) {
+    const { ok, value, code, msg } =
+      validateField(schema, field, data[field], locale);
+    cleaned[field] = value;
+    if (!ok) {
+      errors[field] = msg;
+      codes[field] = code;
+    }
+  }
+
+  return { ok: Object.keys(errors).length === 0, cleaned, errors, codes };
+}
+
+/**
+ * fieldValidators(schema, getLocale)
+ * ----------------------------------
+ * Genera una función por campo: { name: (raw) => {...}, ... }
+ * Útil en el cliente para validar campo a campo.
+ * getLocale() se consulta en cada llamada (el idioma puede cambiar).
+ */
+export function fieldValidators(schema, getLocale = () => DEFAULT_LOCALE) {
+  return Object.fromEntries(
+    Object.keys(schema).map((field) =>
+      [field, (raw) => validateField(schema, field, raw, getLocale())]
+    )
+  );
+}
@@ -0,0 +1,182 @@
+/* ==========================================================
+   CORPUS DE PAYLOADS XSS (paridad de sanitizadores)
+   ==========================================================
+   Vectores conocidos con la salida ESPERADA tras aplicar
+   COMMENT_POLICY (ver sanitizePolicy.mjs).
+
+   DOMPurify (cliente) y sanitize-html (servidor) deben dar
+   una salida equivalente a "expected" para cada payload.
+   "Equivalente" = igual tras pasar por el parser HTML
+   (sanitize-html escribe <br />, el navegador <br>).
+
+   Si se cambia la política, hay que revisar los "expected".
+
+   Comprobación en Node (sin navegador): npm test en server/
+   pasa cada payload por sanitizeCommentHtml y por DOMPurify
+   (jsdom) y compara las dos salidas con "expected".
+   ========================================================== */
+
+/**
+ * Cada entrada:
+ *  - id:       identificador corto
+ *  - category: tipo de vector (svg, url, mxss, entidades...)
+ *  - payload:  lo que "escribe" el atacante
+ *  - expected: HTML que debe quedar tras sanitizar
+ */
+export const XSS_CORPUS = [
+  {
+    id: "script-tag",
+    category: "script",
+    payload: "<script>alert(1)</script>hola",
+    expected: "hola",
+  },
+  {
+    id: "img-onerror",
+    category: "evento",
+    payload: "<img src=x onerror=alert(1)>",
+    expected: "",
+  },
+  {
+    id: "svg-onload",
+    category: "svg",
+    payload: "<svg onload=alert(1)><circle r=1></circle></svg>",
+    expected: "",
+  },
+  {
+    id: "svg-script",
+    category: "svg",
+    payload: "<svg><script>alert(1)</script></svg>",
+    expected: "",
+  },
+  {
+    id: "js-url",
+    category: "url",
+    payload: '<a href="javascript:alert(1)">clic</a>',
+    expected: '<a rel="noopener noreferrer">clic</a>',
+  },
+  {
+    id: "js-url-entities",
+    category: "url",
+    payload: '<a href="jav&#x61;script:alert(1)">clic</a>',
+    expected: '<a rel="noopener noreferrer">clic</a>',
+  },
+  {
+    id: "js-url-whitespace",
+    category: "url",
+    payload: '<a href=" javascript:alert(1)">clic</a>',
+    expected: '<a rel="noopener noreferrer">clic</a>',
+  },
+  {
+    id: "data-url",
+    category: "url",
+    payload: '<a href="data:text/html,<script>alert(1)</script>">clic</a>',
+    expected: '<a rel="noopener noreferrer">clic</a>',
+  },
+  {
+    id: "vbscript-url",
+    category: "url",
+    payload: '<a href="vbscript:msgbox(1)">clic</a>',
+    expected: '<a rel="noopener noreferrer">clic</a>',
+  },
+  {
+    id: "safe-link",
+    category: "enlace",
+    payload: '<a href="https://example.com">web</a>',
+    expected: '<a href="https://example.com" rel="noopener noreferrer">web</a>',
+  },
+  {
+    id: "link-target-blank",
+    category: "enlace",
+    payload: '<a href="https://example.com" target="_blank">web</a>',
+    expected: '<a href="https://example.com" target="_blank" rel="noopener noreferrer">web</a>',
+  },
+  {
+    id: "link-target-top",
+    category: "enlace",
+    payload: '<a href="https://example.com" target="_top" rel="opener">web</a>',
+    expected: '<a href="https://example.com" rel="noopener noreferrer">web</a>',
+  },
+  {
+    id: "mailto",
+    category: "enlace",
+    payload: '<a href="mailto:ana@example.com">mail</a>',
+    expected: '<a href="mailto:ana@example.com" rel="noopener noreferrer">mail</a>',
+  },
+  {
+    id: "href-on-b",
+    category: "atributo",
+    payload: '<b href="https://example.com" target="_blank">negrita</b>',
+    expected: "<b>negrita</b>",
+  },
+  {
+    id: "onclick-on-allowed",
+    category: "evento",
+    payload: '<p onclick="alert(1)">texto</p>',
+    expected: "<p>texto</p>",
+  },
+  {
+    id: "style-attr",
+    category: "atributo",
+    payload: '<p style="background:url(javascript:alert(1))">texto</p>',
+    expected: "<p>texto</p>",
+  },
+  {
+    id: "iframe",
+    category: "etiqueta",
+    payload: '<iframe src="https://evil.example"></iframe>ok',
+    expected: "ok",
+  },
+  {
+    id: "nested-a",
+    category: "enlace",
+    payload: '<a href="https://a.example"><a href="javascript:alert(1)">x</a></a>',
+    expected: '<a href="https://a.example" rel="noopener noreferrer"></a><a rel="noopener noreferrer">x</a>',
+    // OJO: htmlparser2 (sanitize-html) deja un <a> DENTRO de otro; el
+    // parser HTML del navegador no lo permite y cierra el primero. La
+    // salida del servidor solo coincide con "expected" tras ese re-parseo
+    // (por eso el Lab y el test comparan HTML ya parseado).
+  },
+  {
+    id: "mxss-noscript",
+    category: "mxss",
+    payload: '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    expected: "<p></p>",
+  },
+  {
+    id: "entity-lt",
+    category: "entidades",
+    payload: "&lt;script&gt;alert(1)&lt;/script&gt;",
+    expected: "&lt;script&gt;alert(1)&lt;/script&gt;",
+  },
+  {
+    id: "formatting",
+    category: "formato",
+    payload: "<p><b>Hola</b> <i>mundo</i><br><code>x &lt; y</code></p><ul><li>uno</li></ul>",
+    expected: "<p><b>Hola</b> <i>mundo</i><br><code>x &lt; y</code></p><ul><li>uno</li></ul>",
+  },
+  {
+    id: "object",
+    category: "etiqueta",
+    payload: '<object data="x.swf"></object>texto',
+    expected: "texto",
+  },
+  {
+    id: "form-button",
+    category: "etiqueta",
+    payload: '<form action="https://evil.example"><button>enviar</button></form>',
+    expected: "enviar",
+  },
+  {
+    id: "math-mxss",
+    category: "mxss",
+    payload: "<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>",
+    expected: "",
+  },
+  {
+    id: "svg-text",
+    category: "svg",
+    // El árbol SVG desaparece entero, también su texto
+    payload: "<svg><text>hola</text></svg><b>ok</b>",
+    expected: "<b>ok</b>",
+  },
+];
@@ -0,0 +1,76 @@
+/* ==========================================================
+   STORAGE CON CADUCIDAD (TTL)
+   ==========================================================
+   localStorage no caduca nunca y sessionStorage dura lo que
+   la pestaña. Para que un dato "muera" solo, lo guardamos
+   envuelto con su fecha de caducidad:
+
+     { "__ttl": 1, "expiresAt": 1790000000000, "value": "..." }
+
+   Al LEERLO, si ya ha caducado, se borra y se devuelve null.
+   Funciona igual con localStorage y con sessionStorage.
+   ========================================================== */
+
+const TTL_VERSION = 1;
+
+/**
+ * unwrapTtl(raw)
+ * --------------
+ * { value, expiresAt } si el texto es un valor envuelto,
+ * null si es un valor normal.
+ */
+export function unwrapTtl(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed?.__ttl === TTL_VERSION && typeof parsed.value === "string") {
+      return { value: parsed.value, expiresAt: Number(parsed.expiresAt) };
+    }
+  } catch {
+    // no es JSON: no está envuelto
+  }
+  return null;
+}
+
+/**
+ * setWithTtl(storage, key, value, ttlMs)
+ * --------------------------------------
+ * Guarda value (texto) para que caduque dentro de ttlMs.
+ */
+export function setWithTtl(storage, key, value, ttlMs) {
+  storage.setItem(key, JSON.stringify({
+    __ttl: TTL_VERSION,
+    expiresAt: Date.now() + ttlMs,
+    value: String(value),
+  }));
+}
+
+/**
+ * getWithTtl(storage, key)
+ * ------------------------
+ * Como storage.getItem, pero:
+ * - si el valor está envuelto, devuelve solo el valor
+ * - si ha caducado, lo BORRA y devuelve null
+ */
+export function getWithTtl(storage, key) {
+  const raw = storage.getItem(key);
+  if (raw === null) return null;
+
+  const entry = unwrapTtl(raw);
+  if (!entry) return raw;
+
+  if (entry.expiresAt <= Date.now()) {
+    storage.removeItem(key);
+    return null;
+  }
+  return entry.value;
+}
+
+/**
+ * purgeExpired(storage)
+ * ---------------------
+ * Borra todas las entradas caducadas. Devuelve sus claves.
+ */
+export function purgeExpired(storage) {
+  const keys = Array.from({ length: storage.length }, (_, i) => storage.key(i));
+  return keys.filter((key) => key !== null && getWithTtl(storage, key) === null);
+}
@@ -0,0 +1,142 @@
+/****************************************************
+ * ERRORES DE LA API: UN ÚNICO FORMATO JSON
+ ****************************************************/
+
+/*
+  TODAS las respuestas de error de /api tienen la misma forma:
+
+    {
+      "ok": false,
+      "error": {
+        "code":      "email.domainDots",        <- código estable (i18n.mjs)
+        "message":   "El dominio no puede...",  <- texto ya traducido
+        "details":   { ... } | null,            <- datos extra (campos, límites...)
+        "requestId": "3f0c..."                  <- para buscar la petición en los logs
+      }
+    }
+
+  Así el cliente puede tratar cualquier error igual, venga de
+  una ruta, del parser de JSON, de CORS o de un fallo interno.
+*/
+
+import { t, negotiateLocale } from "../public/shared/i18n.mjs";
+import { logger } from "./logger.js";
+
+/*
+  Traducción del mensaje. Si el error ocurre ANTES del
+  middleware de idioma (p. ej. al parsear el JSON), todavía
+  no hay req.t: negociamos el idioma aquí mismo.
+*/
+function translate(req, code, params) {
+  if (req.t) return req.t(code, params);
+  return t(negotiateLocale(req.get("Accept-Language")), code, params);
+}
+
+export function errorEnvelope(req, code, params, details = null) {
+  return {
+    ok: false,
+    error: {
+      code,
+      message: translate(req, code, params),
+      details,
+      requestId: req.id ?? null,
+    },
+  };
+}
+
+/*
+  sendError(req, res, status, code, params, details)
+  --------------------------------------------------
+  Error "simple": un código y, si hace falta, detalles.
+*/
+export function sendError(req, res, status, code, params, details = null) {
+  return res.status(status).json(errorEnvelope(req, code, params, details));
+}
+
+/*
+  sendFieldErrors(req, res, status, fieldErrors, code)
+  ----------------------------------------------------
+  Errores por campo en details.fields:
+    { email: { code: "email.tld", message: "..." }, ... }
+
+  Cada campo puede venir como:
+  - "código"
+  - { code, params }
+  - { code, message }  (mensaje ya traducido, p. ej. de validateObject)
+
+  code: código general del error (por defecto "validation.failed").
+*/
+export function sendFieldErrors(req, res, status, fieldErrors, code = "validation.failed") {
+  const fields = {};
+  for (const [field, err] of Object.entries(fieldErrors)) {
+    const { code: fieldCode, params, message } =
+      typeof err === "string" ? { code: err } : err;
+    fields[field] = {
+      code: fieldCode,
+      message: message ?? translate(req, fieldCode, params),
+    };
+  }
+  return sendError(req, res, status, code, {}, { fields });
+}
+
+/*
+  Errores del parser de JSON (body-parser) -> código y status.
+  err.type lo pone body-parser; err.status ya viene calculado.
+*/
+const BODY_PARSER_ERRORS = {
+  "entity.parse.failed": { status: 400, code: "request.invalidJson" },
+  "entity.too.large": { status: 413, code: "request.tooLarge" },
+  "encoding.unsupported": { status: 415, code: "request.unsupportedEncoding" },
+  "charset.unsupported": { status: 415, code: "request.unsupportedEncoding" },
+};
+
+/*
+  requireBodyType(types, { byPath })
+  ----------------------------------
+  415 si una petición CON cuerpo no trae un Content-Type admitido.
+  (sin esto, express.json ignora el cuerpo y la ruta vería {}).
+  byPath: tipos propios de algunas rutas (p. ej. /csp-report).
+*/
+export function requireBodyType(types, { byPath = {} } = {}) {
+  return (req, res, next) => {
+    const allowed = byPath[req.path] ?? types;
+
+    // req.is: null si no hay cuerpo, false si el tipo no coincide
+    if (req.is(allowed) !== false) return next();
+
+    return sendError(req, res, 415, "request.unsupportedMediaType",
+      { type: req.get("Content-Type") || "-" },
+      { allowed });
+  };
+}
+
+/*
+  404 para cualquier ruta de /api que no exista.
+*/
+export function apiNotFound(req, res) {
+  return sendError(req, res, 404, "api.notFound",
+    { method: req.method, path: req.originalUrl.split("?")[0] });
+}
+
+/*
+  apiErrorHandler(err, req, res, next)
+  ------------------------------------
+  Manejador de errores de Express (4 argumentos) para /api.
+  - errores conocidos del parser: 400 / 413 / 415
+  - cualquier otro: 500 con mensaje genérico (el detalle
+    va al log del servidor, NUNCA al cliente)
+  Fuera de /api se deja el manejador por defecto de Express.
+*/
+export function apiErrorHandler(err, req, res, next) {
+  if (!req.originalUrl.startsWith("/api")) return next(err);
+  if (res.headersSent) return next(err);
+
+  const known = BODY_PARSER_ERRORS[err.type];
+  if (known) {
+    const params = err.type === "entity.too.large" ? { limit: err.limit } : {};
+    return sendError(req, res, known.status, known.code, params);
+  }
+
+  logger.error("unhandled error", { requestId: req.id ?? null, err });
+  return sendError(req, res, 500, "server.internal");
+}
@@ -0,0 +1,132 @@
+/****************************************************
+ * REGISTRO DE AUDITORÍA (SOLO AÑADIR)
+ ****************************************************/
+
+/*
+  Los logs de peticiones dicen QUÉ ruta se llamó; la auditoría
+  dice QUÉ PASÓ: quién inició sesión, qué perfil se guardó,
+  qué datos se rechazaron y por qué.
+
+  Fichero server/data/audit.jsonl, una línea JSON por evento:
+
+    {"id":"...","at":"2026-...","type":"auth.login","requestId":"3f0c...",
+     "userId":"...","ip":"::1","details":{"email":"a***@example.com"}}
+
+  - SOLO AÑADIR: se abre en modo "a" y nunca se reescribe ni
+    se borra nada (a diferencia de las colecciones de db.js)
+  - Los detalles pasan por redact() (sin contraseñas, emails
+    enmascarados), igual que los logs
+
+  Variables de entorno:
+  - AUDIT_LOG_FILE=/ruta/audit.jsonl -> otro fichero
+*/
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DATA_DIR } from "./db.js";
+import { redact } from "./logger.js";
+
+/*
+  Tipos de evento que se registran
+*/
+export const AUDIT_EVENTS = [
+  "auth.register",
+  "auth.login",
+  "auth.loginFailed",
+  "auth.logout",
+  "profile.created",
+  "profile.updated",
+  "profile.deleted",
+  "profile.rejected",   // validación o email repetido
+  "profile.sanitized",  // se guardó, pero la sanitización quitó algo
+  "profile.avatarUpdated",
+  "profile.avatarRejected",
+  "comment.deleted",    // borrado del muro por su dueño
+];
+
+export const AUDIT_MAX_LIMIT = 500;
+
+/*
+  createAuditLog({ file })
+  ------------------------
+  Devuelve:
+  - record(req, type, details): añade un evento
+  - query(filters):             eventos (más recientes primero)
+*/
+export function createAuditLog({
+  file = process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, "audit.jsonl"),
+} = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  /*
+    record(req, type, details)
+    De req salen requestId, usuario e IP; details, lo propio
+    del evento. userId se puede pasar en details cuando aún
+    no hay sesión (p. ej. en el login).
+  */
+  function record(req, type, { userId, ...details } = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      type,
+      requestId: req.id ?? null,
+      userId: userId ?? req.session?.user?.id ?? null,
+      ip: req.ip ?? null,
+      details: redact(details),
+    };
+    fs.appendFileSync(file, JSON.stringify(event) + "\n", { flag: "a" });
+    return event;
+  }
+
+  function readAll() {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    return text
+      .split("\n")
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return []; // línea a medias (p. ej. corte de luz): se ignora
+        }
+      });
+  }
+
+  /*
+    query({ type, userId, requestId, since, until, limit })
+    - type:  "auth.login" exacto o "auth" (todos los auth.*);
+             varios separados por comas
+    - since/until: fechas ISO (incluidas)
+    - limit: máximo de eventos (tope AUDIT_MAX_LIMIT)
+  */
+  function query({ type, userId, requestId, since, until, limit = 100 } = {}) {
+    const types = type ? String(type).split(",").map((t) => t.trim()).filter(Boolean) : [];
+    const from = since ? Date.parse(since) : -Infinity;
+    const to = until ? Date.parse(until) : Infinity;
+
+    const matches = readAll().filter((event) => {
+      if (types.length && !types.some((t) => event.type === t || event.type.startsWith(`${t}.`))) {
+        return false;
+      }
+      if (userId && event.userId !== userId) return false;
+      if (requestId && event.requestId !== requestId) return false;
+      const at = Date.parse(event.at);
+      return at >= from && at <= to;
+    });
+
+    const max = Math.min(Math.max(Number(limit) || 0, 1), AUDIT_MAX_LIMIT);
+    return {
+      total: matches.length,
+      events: matches.reverse().slice(0, max),
+    };
+  }
+
+  return { record, query };
+}
@@ -0,0 +1,123 @@
+/****************************************************
+ * AVATARES: SUBIDA Y ALMACENAMIENTO
+ ****************************************************/
+
+/*
+  POST /api/profile/avatar?profileId=... (multipart/form-data):
+  - profileId: perfil al que pertenece (en la URL: el servidor
+               comprueba sesión y dueño antes de leer el fichero)
+  - avatar:    la imagen
+
+  Reglas:
+  - multer la recibe EN MEMORIA con límite de tamaño: nada
+    llega al disco antes de comprobar los magic bytes, el tipo
+    declarado y las dimensiones (checkAvatar, avatar.mjs)
+  - se guarda con un nombre ALEATORIO ("3f0c...e1.png"): el
+    nombre original del usuario no se usa nunca (ni rutas tipo
+    "../../server.js", ni "foto.html", ni caracteres raros)
+  - se sirve con el Content-Type del tipo DETECTADO, nosniff,
+    Content-Disposition con un nombre fijo y una CSP que no
+    deja ejecutar nada aunque se abra el fichero directamente
+
+  Carpeta: server/data/avatars/ (AVATAR_DIR=/ruta para cambiarla)
+*/
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import multer from "multer";
+import { DATA_DIR } from "./db.js";
+import { AVATAR_LIMITS, AVATAR_TYPES } from "../public/shared/avatar.mjs";
+
+const EXT_TYPES = Object.fromEntries(
+  Object.entries(AVATAR_TYPES).map(([type, ext]) => [ext, type])
+);
+
+// Solo nombres generados por nosotros: 32 hex + extensión admitida
+const FILE_NAME = new RegExp(`^[a-f0-9]{32}\\.(${Object.values(AVATAR_TYPES).join("|")})$`);
+
+/*
+  multer: un solo fichero "avatar" y ningún otro campo.
+  Si el fichero pasa de maxBytes, multer corta la subida
+  (no se sigue leyendo) y respondemos 413.
+*/
+export const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AVATAR_LIMITS.maxBytes,
+    files: 1,
+    fields: 0,
+    parts: 1,
+  },
+}).single("avatar");
+
+/*
+  Errores de multer -> { status, code } de la API
+*/
+export function uploadError(err) {
+  if (err?.code === "LIMIT_FILE_SIZE") {
+    return { status: 413, code: "avatar.tooLarge", params: { max: Math.round(AVATAR_LIMITS.maxBytes / 1024) } };
+  }
+  if (err instanceof multer.MulterError) {
+    return { status: 400, code: "avatar.badUpload", params: {} };
+  }
+  return null; // no es de multer: que lo trate el manejador general
+}
+
+/*
+  createAvatarStore({ dir })
+  --------------------------
+  - save(buffer, ext): guarda con nombre aleatorio y lo devuelve
+  - read(name):        { buffer, type } o null
+  - remove(name):      borra (si existe)
+*/
+export function createAvatarStore({
+  dir = process.env.AVATAR_DIR || path.join(DATA_DIR, "avatars"),
+} = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // path.join con un nombre ya validado: nunca sale de "dir"
+  const fileFor = (name) => (FILE_NAME.test(name) ? path.join(dir, name) : null);
+
+  return {
+    save(buffer, ext) {
+      const name = `${crypto.randomBytes(16).toString("hex")}.${ext}`;
+      // "wx": falla si ya existe (no se pisa nunca un fichero)
+      fs.writeFileSync(path.join(dir, name), buffer, { flag: "wx" });
+      return name;
+    },
+
+    read(name) {
+      const file = fileFor(name);
+      if (!file) return null;
+      try {
+        return { buffer: fs.readFileSync(file), type: EXT_TYPES[path.extname(name).slice(1)] };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    remove(name) {
+      const file = fileFor(name);
+      if (file) fs.rmSync(file, { force: true });
+    },
+  };
+}
+
+/*
+  Cabeceras para servir un avatar:
+  - Content-Type:  el tipo detectado al subirlo (no el declarado)
+  - nosniff:       el navegador no "adivina" otro tipo
+  - Content-Disposition: inline con nombre fijo (nunca el original)
+  - CSP sandbox:   si alguien abre la URL, no se ejecuta nada
+*/
+export function avatarHeaders(type, name) {
+  return {
+    "Content-Type": type,
+    "X-Content-Type-Options": "nosniff",
+    "Content-Disposition": `inline; filename="avatar.${path.extname(name).slice(1)}"`,
+    "Content-Security-Policy": "default-src 'none'; sandbox",
+    "Cache-Control": "private, max-age=86400",
+  };
+}
@@ -0,0 +1,269 @@
+/****************************************************
+ * CORS: LISTA BLANCA Y POLÍTICAS POR RUTA
+ ****************************************************/
+
+/*
+  La configuración vive en cors.config.json:
+  - origins:  orígenes permitidos. Admite comodín de subdominio:
+              "https://*.ejemplo.com" -> a.ejemplo.com, b.c.ejemplo.com
+              (pero NO ejemplo.com a secas)
+  - credentials: si se permiten cookies en peticiones cross-origin
+  - maxAgeSeconds: cuánto puede cachear el navegador el preflight
+  - defaults: métodos y cabeceras si ninguna ruta coincide
+  - routes:   políticas por ruta (la PRIMERA que coincide manda):
+              { path: "/api/profiles/:id", methods, headers, origins? }
+
+  Variables de entorno:
+  - CORS_CONFIG_FILE=/ruta/cors.json   -> otro fichero de configuración
+  - CORS_ORIGINS=https://a.com,https://*.b.com -> sustituye "origins"
+
+  CORS solo aplica entre orígenes DISTINTOS: las peticiones sin
+  cabecera Origin o del mismo origen que el servidor pasan siempre.
+*/
+
+import cors from "cors";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FILE = path.join(__dirname, "cors.config.json");
+
+const DEFAULT_PORTS = { "http:": "80", "https:": "443" };
+
+/*
+  loadCorsConfig(file)
+  --------------------
+  Lee el JSON de configuración (si falta o está mal, el servidor
+  NO arranca: mejor fallar que abrir CORS sin querer).
+*/
+export function loadCorsConfig(file = process.env.CORS_CONFIG_FILE || DEFAULT_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (process.env.CORS_ORIGINS) {
+    config.origins = process.env.CORS_ORIGINS
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean);
+  }
+
+  return config;
+}
+
+/*
+  Patrón de origen -> { pattern, test(origin) }
+  Esquema y puerto deben coincidir exactamente; el host,
+  exacto o como subdominio si empieza por "*.".
+*/
+function compileOrigin(pattern, credentials) {
+  if (pattern === "*") {
+    if (credentials) {
+      throw new Error('CORS: "*" no se puede combinar con credenciales; lista los orígenes');
+    }
+    return { pattern, test: () => true };
+  }
+
+  const match = String(pattern).match(/^(https?):\/\/(\*\.)?([a-z0-9.-]+)(?::(\d+))?$/i);
+  if (!match) throw new Error(`CORS: patrón de origen no válido: ${pattern}`);
+
+  const [, scheme, wildcard, host, port] = match;
+  const protocol = `${scheme.toLowerCase()}:`;
+  const expectedPort = !port || port === DEFAULT_PORTS[protocol] ? "" : port;
+  const hostname = host.toLowerCase();
+
+  return {
+    pattern,
+    test(origin) {
+      let url;
+      try {
+        url = new URL(origin);
+      } catch {
+        return false; // "null", basura...
+      }
+      // Un Origin válido no lleva ruta, query ni usuario
+      if (url.origin !== origin.toLowerCase()) return false;
+      if (url.protocol !== protocol || url.port !== expectedPort) return false;
+
+      return wildcard
+        ? url.hostname.endsWith(`.${hostname}`)
+        : url.hostname === hostname;
+    },
+  };
+}
+
+/*
+  Ruta con parámetros -> RegExp
+    "/api/profiles/:id" -> cualquier valor en :id
+    "/api/*"            -> todo lo que cuelgue de /api/
+*/
+function compilePath(pattern) {
+  const source = pattern
+    .split("/")
+    .map((segment) => {
+      if (segment === "*") return ".*";
+      if (segment.startsWith(":")) return "[^/]+";
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  return new RegExp(`^${source}$`);
+}
+
+const upper = (list) => list.map((item) => String(item).toUpperCase());
+const lower = (list) => list.map((item) => String(item).toLowerCase());
+
+/*
+  createCorsPolicy(config)
+  ------------------------
+  Devuelve:
+  - evaluate(request):   decisión con la explicación de cada comprobación
+  - responseHeaders(..): cabeceras CORS que se enviarían
+  - middleware(onDenied): middleware de Express
+*/
+export function createCorsPolicy(config) {
+  const credentials = config.credentials !== false;
+  const maxAge = config.maxAgeSeconds ?? 600;
+  const origins = config.origins.map((p) => compileOrigin(p, credentials));
+
+  const defaults = {
+    path: "(defaults)",
+    methods: upper(config.defaults?.methods ?? ["GET", "HEAD"]),
+    headers: lower(config.defaults?.headers ?? []),
+    origins: null,
+  };
+
+  const routes = (config.routes ?? []).map((route) => ({
+    path: route.path,
+    regex: compilePath(route.path),
+    methods: route.methods ? upper(route.methods) : defaults.methods,
+    headers: route.headers ? lower(route.headers) : defaults.headers,
+    // Orígenes propios de la ruta (si no, los globales)
+    origins: route.origins ? route.origins.map((p) => compileOrigin(p, credentials)) : null,
+  }));
+
+  function routeFor(requestPath) {
+    return routes.find((route) => route.regex.test(requestPath)) ?? defaults;
+  }
+
+  /*
+    evaluate({ origin, selfOrigin, method, path, headers })
+    -------------------------------------------------------
+    - origin:     cabecera Origin (o undefined)
+    - selfOrigin: origen del propio servidor ("http://localhost:3000")
+    - method:     método (en un preflight, el que se pide)
+    - headers:    cabeceras pedidas en el preflight (en minúsculas)
+
+    Cada comprobación es { check, ok, code, params } con un código
+    de i18n.mjs ("cors.methodDenied"...). allowed = todas ok.
+  */
+  function evaluate({ origin, selfOrigin, method, path: requestPath, headers = [] }) {
+    const route = routeFor(requestPath);
+    const crossOrigin = Boolean(origin) && origin !== selfOrigin;
+    const checks = [];
+
+    if (!origin) {
+      checks.push({ check: "origin", ok: true, code: "cors.noOrigin" });
+    } else if (!crossOrigin) {
+      checks.push({ check: "origin", ok: true, code: "cors.sameOrigin" });
+    } else {
+      const match = (route.origins ?? origins).find((o) => o.test(origin));
+      checks.push(match
+        ? { check: "origin", ok: true, code: "cors.originAllowed", params: { pattern: match.pattern } }
+        : { check: "origin", ok: false, code: "cors.originDenied", params: { origin } });
+    }
+
+    if (crossOrigin) {
+      checks.push(route.methods.includes(method)
+        ? { check: "method", ok: true, code: "cors.methodAllowed", params: { method } }
+        : {
+          check: "method",
+          ok: false,
+          code: "cors.methodDenied",
+          params: { method, allowed: route.methods.join(", ") },
+        });
+
+      const denied = headers.find((header) => !route.headers.includes(header));
+      checks.push(denied
+        ? { check: "headers", ok: false, code: "cors.headerDenied", params: { header: denied } }
+        : {
+          check: "headers",
+          ok: true,
+          code: "cors.headersAllowed",
+          params: { headers: headers.join(", ") || "-" },
+        });
+    }
+
+    return { allowed: checks.every((c) => c.ok), crossOrigin, route, checks };
+  }
+
+  /*
+    Cabeceras que acompañan a una respuesta cross-origin permitida.
+  */
+  function responseHeaders(decision, { origin, preflight }) {
+    if (!decision.crossOrigin || !decision.allowed) return {};
+
+    return {
+      "Access-Control-Allow-Origin": origin,
+      ...(credentials ? { "Access-Control-Allow-Credentials": "true" } : {}),
+      Vary: "Origin",
+      ...(preflight
+        ? {
+          "Access-Control-Allow-Methods": decision.route.methods.join(","),
+          "Access-Control-Allow-Headers": decision.route.headers.join(","),
+          "Access-Control-Max-Age": String(maxAge),
+        }
+        : {}),
+    };
+  }
+
+  /*
+    Decisión para una petición de Express.
+    Un preflight es un OPTIONS con Access-Control-Request-Method:
+    se evalúa el método y las cabeceras que se PIDEN, no OPTIONS.
+  */
+  function evaluateRequest(req) {
+    const requestedMethod = req.get("Access-Control-Request-Method");
+    const preflight = req.method === "OPTIONS" && Boolean(requestedMethod);
+
+    return evaluate({
+      origin: req.get("Origin"),
+      selfOrigin: `${req.protocol}://${req.get("host")}`,
+      method: preflight ? requestedMethod.toUpperCase() : req.method,
+      path: req.path,
+      headers: preflight
+        ? lower((req.get("Access-Control-Request-Headers") || "")
+          .split(",")
+          .map((h) => h.trim())
+          .filter(Boolean))
+        : [],
+    });
+  }
+
+  /*
+    middleware(onDenied)
+    --------------------
+    - permitido y cross-origin: el paquete cors pone las cabeceras
+      con la política de la ruta (y responde él los preflight)
+    - denegado: onDenied(req, res, primeraComprobaciónFallida)
+      (el servidor responde 403 JSON)
+  */
+  function middleware(onDenied) {
+    return (req, res, next) => {
+      const decision = evaluateRequest(req);
+      if (!decision.allowed) {
+        return onDenied(req, res, decision.checks.find((c) => !c.ok));
+      }
+      if (!decision.crossOrigin) return next();
+
+      cors({
+        origin: true, // refleja el Origin (ya comprobado arriba)
+        credentials,
+        methods: decision.route.methods,
+        allowedHeaders: decision.route.headers,
+        maxAge,
+      })(req, res, next);
+    };
+  }
+
+  return { evaluate, responseHeaders, middleware };
+}
@@ -0,0 +1,124 @@
+/****************************************************
+ * PERSISTENCIA LOCAL EN FICHEROS JSON
+ ****************************************************/
+
+/*
+  Mini "base de datos" para la demo:
+  - Cada colección es un fichero JSON dentro de server/data/
+  - Se carga en memoria al arrancar
+  - Cada escritura vuelca el fichero completo
+
+  La escritura es ATÓMICA: primero escribimos un fichero
+  temporal y después lo renombramos. Así, si el proceso
+  muere a mitad, nunca queda un JSON corrupto.
+*/
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Carpeta de datos (configurable para pruebas)
+export const DATA_DIR =
+  process.env.DATA_DIR || path.join(__dirname, "data");
+
+/*
+  Lee un fichero JSON. Si no existe (primer arranque)
+  devuelve el valor por defecto.
+*/
+export function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+/*
+  Escribe un fichero JSON de forma atómica (tmp + rename).
+*/
+export function writeJsonFile(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/*
+  createCollection(name)
+  ----------------------
+  Devuelve una colección de documentos con id:
+  - all()              -> todos los documentos
+  - get(id)            -> uno por id (o null)
+  - find(pred)         -> primero que cumpla pred (o null)
+  - insert(doc)        -> añade id + fechas y guarda
+  - update(id, doc)    -> sustituye campos y guarda
+  - remove(id)         -> borra y devuelve si existía
+
+  Los documentos se devuelven COPIADOS para que nadie
+  modifique el estado interno sin pasar por update().
+*/
+export function createCollection(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const docs = new Map(
+    readJsonFile(file, []).map((doc) => [doc.id, doc])
+  );
+
+  const copy = (doc) => (doc ? structuredClone(doc) : null);
+  const persist = () => writeJsonFile(file, [...docs.values()]);
+
+  return {
+    all() {
+      return [...docs.values()].map(copy);
+    },
+
+    get(id) {
+      return copy(docs.get(id));
+    },
+
+    find(pred) {
+      for (const doc of docs.values()) {
+        if (pred(doc)) return copy(doc);
+      }
+      return null;
+    },
+
+    insert(doc) {
+      const now = new Date().toISOString();
+      const stored = {
+        ...doc,
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+      };
+      docs.set(stored.id, stored);
+      persist();
+      return copy(stored);
+    },
+
+    update(id, doc) {
+      const current = docs.get(id);
+      if (!current) return null;
+
+      const stored = {
+        ...current,
+        ...doc,
+        id,                              // el id nunca cambia
+        createdAt: current.createdAt,
+        updatedAt: new Date().toISOString(),
+      };
+      docs.set(id, stored);
+      persist();
+      return copy(stored);
+    },
+
+    remove(id) {
+      const existed = docs.delete(id);
+      if (existed) persist();
+      return existed;
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/****************************************************
+ * DOMINIOS DE EMAIL DESECHABLES (LISTA DE BLOQUEO)
+ ****************************************************/
+
+/*
+  Servicios como mailinator.com dan buzones de "usar y tirar":
+  útiles para saltarse un registro, malos para la calidad
+  del dato. La lista está en un fichero de texto editable:
+
+    # comentario
+    mailinator.com
+    yopmail.com
+
+  Un dominio bloquea también sus subdominios
+  (mailinator.com -> eu.mailinator.com).
+
+  DISPOSABLE_DOMAINS_FILE=/ruta/lista.txt -> usar otra lista
+  (por defecto, disposable-domains.txt junto a este fichero)
+*/
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { toAsciiDomain } from "../public/shared/email.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FILE = path.join(__dirname, "disposable-domains.txt");
+
+/*
+  Lee la lista: una entrada por línea, sin vacías ni comentarios.
+  Los dominios se guardan en ASCII (los IDN como punycode)
+  para compararlos con parseEmail(...).asciiDomain.
+  Si el fichero no existe, la lista queda vacía.
+*/
+function readDomainList(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, "").trim())
+    .filter(Boolean)
+    .map((line) => toAsciiDomain(line.toLowerCase()))
+    .filter(Boolean);
+}
+
+/*
+  loadDomainBlocklist(file)
+  -------------------------
+  Devuelve:
+  - size:         cuántos dominios hay en la lista
+  - has(domain):  true si el dominio (ASCII) o uno de sus
+                  dominios padre está en la lista
+*/
+export function loadDomainBlocklist(
+  file = process.env.DISPOSABLE_DOMAINS_FILE || DEFAULT_FILE
+) {
+  const domains = new Set(readDomainList(file));
+
+  return {
+    size: domains.size,
+
+    has(domain) {
+      const labels = String(domain).toLowerCase().split(".");
+      // eu.mailinator.com -> eu.mailinator.com, mailinator.com, com
+      return labels.some((_, i) => domains.has(labels.slice(i).join(".")));
+    },
+  };
+}
@@ -0,0 +1,169 @@
+/****************************************************
+ * LOGS ESTRUCTURADOS (JSON) E ID DE PETICIÓN
+ ****************************************************/
+
+/*
+  Cada línea del log es un objeto JSON:
+
+    {"time":"2026-...","level":"info","msg":"request","requestId":"3f0c...",
+     "method":"POST","path":"/api/login","status":401,"durationMs":12.4}
+
+  Así se puede filtrar con herramientas (jq, grep, un agregador...)
+  en lugar de leer texto libre.
+
+  DATOS PERSONALES: antes de escribir, redact() tapa
+  contraseñas, tokens y cookies, y enmascara los emails
+  ("ana@example.com" -> "a***@example.com").
+  Nunca se registra el cuerpo ni la query de la petición.
+
+  Variables de entorno:
+  - LOG_LEVEL=debug|info|warn|error|silent (por defecto info)
+*/
+
+import crypto from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/*
+  Claves que NUNCA se escriben (en minúsculas y sin guiones):
+  su valor se sustituye por "[redacted]".
+*/
+const SECRET_KEYS = new Set([
+  "password",
+  "passwordhash",
+  "token",
+  "csrftoken",
+  "xcsrftoken",
+  "cookie",
+  "setcookie",
+  "authorization",
+  "sid",
+  "passphrase",
+]);
+
+const EMAIL_IN_TEXT = /([^\s@<>"',;:]+)@([^\s@<>"',;:]+\.[^\s@<>"',;:]+)/g;
+
+/*
+  maskEmail("ana@example.com") -> "a***@example.com"
+  El dominio se deja: sirve para detectar abusos
+  (p. ej. muchos registros desde un dominio desechable).
+*/
+export function maskEmail(email) {
+  return String(email).replace(EMAIL_IN_TEXT, (_, local, domain) =>
+    `${local.slice(0, 1)}***@${domain}`);
+}
+
+/*
+  redact(value)
+  -------------
+  Copia de value con los secretos tapados y los emails
+  enmascarados (en cualquier nivel de anidamiento).
+  Los Error se convierten en { name, message, stack }.
+*/
+export function redact(value, depth = 0) {
+  if (depth > 8) return "[too deep]";
+  if (typeof value === "string") return maskEmail(value);
+  if (value instanceof Error) {
+    return { name: value.name, message: maskEmail(value.message), stack: value.stack };
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEYS.has(key.toLowerCase().replace(/[-_]/g, ""))
+          ? "[redacted]"
+          : redact(item, depth + 1),
+      ])
+    );
+  }
+  return value;
+}
+
+/*
+  createLogger({ level, write })
+  ------------------------------
+  Devuelve { debug, info, warn, error }:
+    logger.info("mensaje", { campos... })
+  write: dónde va cada línea (por defecto, stdout/stderr).
+*/
+export function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  write = (line, levelName) =>
+    (LEVELS[levelName] >= LEVELS.error ? process.stderr : process.stdout).write(line + "\n"),
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (levelName) => (msg, fields = {}) => {
+    if (LEVELS[levelName] < threshold) return;
+    write(JSON.stringify({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...redact(fields),
+    }), levelName);
+  };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+}
+
+// Logger del servidor (lo comparten todos los módulos)
+export const logger = createLogger();
+
+/*
+  X-Request-Id
+  ------------
+  Si la petición ya trae uno (de un proxy o del cliente) lo
+  reutilizamos para poder seguirla de punta a punta; si no,
+  o si no tiene buena pinta, generamos uno nuevo.
+  Nunca se copia tal cual algo arbitrario al log ni a la respuesta.
+*/
+const REQUEST_ID_HEADER = "X-Request-Id";
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/*
+  requestLogger(log)
+  ------------------
+  Middleware (debe ir el PRIMERO):
+  - req.id y cabecera de respuesta X-Request-Id
+  - al terminar la respuesta, una línea "request" con
+    método, ruta (sin query), status y duración
+  Si la conexión se corta antes de responder, "request aborted".
+*/
+export function requestLogger(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const start = process.hrtime.bigint();
+    let finished = false;
+
+    const fields = () => ({
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      ip: req.ip,
+      userId: req.session?.user?.id ?? null,
+    });
+
+    res.on("finish", () => {
+      finished = true;
+      const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+      log[level]("request", fields());
+    });
+
+    res.on("close", () => {
+      if (!finished) log.warn("request aborted", fields());
+    });
+
+    next();
+  };
+}
@@ -0,0 +1,94 @@
+/****************************************************
+ * CONTRASEÑAS: HASH + POLÍTICA DE FORTALEZA
+ ****************************************************/
+
+/*
+  NUNCA se guarda la contraseña, solo su HASH.
+
+  Usamos scrypt (incluido en Node, módulo crypto):
+  - es LENTO a propósito (dificulta ataques de fuerza bruta)
+  - usa una SAL aleatoria por usuario (dos contraseñas iguales
+    producen hashes distintos -> inútiles las "rainbow tables")
+
+  Formato guardado:
+    scrypt$N$r$p$<sal base64>$<hash base64>
+  Así se pueden subir los parámetros en el futuro sin romper
+  los hashes antiguos.
+*/
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+export async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return [
+    "scrypt", N, r, p,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [algo, N, r, p, salt, hash] = String(stored).split("$");
+  if (algo !== "scrypt") return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"),
+    expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+
+  // Comparación en tiempo constante (no revela cuántos bytes coinciden)
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/*
+  Hash "de relleno" para cuando el email no existe:
+  verificamos igualmente contra él para que la respuesta
+  tarde lo mismo y no se pueda saber qué emails están registrados.
+*/
+export const DUMMY_HASH = await hashPassword(
+  crypto.randomBytes(16).toString("hex")
+);
+
+/*
+  POLÍTICA DE CONTRASEÑAS
+  -----------------------
+  - entre 10 y 128 caracteres
+  - al menos 3 de estos 4 tipos: minúsculas, mayúsculas, números, símbolos
+  - no puede contener la parte local del email (ana@... -> "ana")
+
+  Devuelve el error como { code, params } (ver i18n.mjs)
+  o null si es válida.
+*/
+const PASSWORD_MIN = 10;
+const PASSWORD_MAX = 128;
+
+export function checkPasswordStrength(password, email = "") {
+  const pwd = String(password ?? "");
+
+  if (!pwd) return { code: "password.required" };
+  if (pwd.length < PASSWORD_MIN) {
+    return { code: "password.tooShort", params: { min: PASSWORD_MIN } };
+  }
+  if (pwd.length > PASSWORD_MAX) {
+    return { code: "password.tooLong", params: { max: PASSWORD_MAX } };
+  }
+
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/]
+    .filter((re) => re.test(pwd)).length;
+  if (classes < 3) return { code: "password.classes" };
+
+  const local = String(email).split("@")[0];
+  if (local.length >= 3 && pwd.toLowerCase().includes(local.toLowerCase())) {
+    return { code: "password.containsEmail" };
+  }
+
+  return null;
+}
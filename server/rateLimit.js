@@ -0,0 +1,152 @@
+/****************************************************
+ * LIMITACIÓN DE PETICIONES (RATE LIMITING) EN MEMORIA
+ ****************************************************/
+
+/*
+  Sin Redis ni dependencias: contadores en un Map del proceso.
+  (Si hubiera varios procesos, cada uno tendría sus contadores)
+
+  Algoritmo "ventana fija":
+  - Cada clave (IP o sesión) tiene un contador y una hora de reinicio
+  - Si el contador supera el límite dentro de la ventana -> 429
+
+  Cabeceras estándar (borrador IETF "RateLimit header fields"):
+  - RateLimit-Limit:     peticiones permitidas por ventana
+  - RateLimit-Remaining: peticiones que quedan
+  - RateLimit-Reset:     segundos hasta que se reinicia la ventana
+  - Retry-After:         (solo en 429) segundos que hay que esperar
+*/
+
+import { sendError } from "./apiErrors.js";
+
+// Limpieza periódica de entradas caducadas (unref: no impide cerrar el proceso)
+function startPurge(map, isStale) {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of map) {
+      if (isStale(entry, now)) map.delete(key);
+    }
+  }, 60 * 1000).unref();
+}
+
+// Cómo se obtiene la clave de cada tipo de límite
+const KEYS = {
+  ip: (req) => req.ip,
+  session: (req) => req.session?.id ?? null, // sin sesión -> no aplica
+};
+
+/*
+  Respuesta 429 común (límite de peticiones y bloqueo de login),
+  con el formato de error de la API (ver apiErrors.js).
+*/
+export function tooManyRequests(res, retryAfterSeconds) {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return sendError(res.req, res, 429, "rateLimit.tooMany",
+    { seconds: retryAfterSeconds }, { retryAfterSeconds });
+}
+
+/*
+  rateLimit({ name, by, limit, windowMs })
+  ----------------------------------------
+  Devuelve un middleware de Express.
+  - name:     identifica el contador (cada ruta tiene los suyos)
+  - by:       "ip" | "session"
+  - limit:    peticiones máximas por ventana
+  - windowMs: duración de la ventana
+*/
+export function rateLimit({ name, by = "ip", limit, windowMs }) {
+  const hits = new Map();
+  startPurge(hits, (entry, now) => now >= entry.resetAt);
+
+  return (req, res, next) => {
+    const id = KEYS[by](req);
+    if (id == null) return next();
+
+    const key = `${name}:${id}`;
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || now >= entry.resetAt) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set({
+      "RateLimit-Policy": `${limit};w=${Math.round(windowMs / 1000)}`,
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - entry.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (entry.count > limit) return tooManyRequests(res, resetSeconds);
+    next();
+  };
+}
+
+/*
+  rateLimits(name, config)
+  ------------------------
+  Combina varios límites para una misma ruta, por ejemplo:
+    { ip: { limit: 30, windowMs: 60000 },
+      session: { limit: 10, windowMs: 60000 } }
+*/
+export function rateLimits(name, config) {
+  return Object.entries(config).map(([by, opts]) =>
+    rateLimit({ name: `${name}:${by}`, by, ...opts })
+  );
+}
+
+/****************************************************
+ * BLOQUEO PROGRESIVO TRAS LOGINS FALLIDOS
+ ****************************************************/
+
+/*
+  createLoginLockout(options)
+  - maxFailures: fallos "gratis" antes de bloquear
+  - baseMs:      primer bloqueo
+  - maxMs:       bloqueo máximo
+
+  Cada fallo extra DUPLICA el bloqueo: 30 s, 1 min, 2 min...
+  Un login correcto borra el historial.
+
+  La clave es IP + email: así un atacante no puede bloquear
+  la cuenta de otra persona desde su propia IP para siempre.
+*/
+export function createLoginLockout({
+  maxFailures = 5,
+  baseMs = 30 * 1000,
+  maxMs = 15 * 60 * 1000,
+} = {}) {
+  const failures = new Map();
+  startPurge(failures, (entry, now) =>
+    now - entry.lastFailureAt > maxMs && now >= entry.lockedUntil
+  );
+
+  return {
+    // Segundos que quedan de bloqueo (0 si no está bloqueado)
+    retryAfterSeconds(key) {
+      const entry = failures.get(key);
+      if (!entry) return 0;
+      return Math.max(0, Math.ceil((entry.lockedUntil - Date.now()) / 1000));
+    },
+
+    fail(key) {
+      const now = Date.now();
+      const entry = failures.get(key) ?? { count: 0, lockedUntil: 0 };
+      entry.count++;
+      entry.lastFailureAt = now;
+
+      const extra = entry.count - maxFailures;
+      if (extra > 0) {
+        entry.lockedUntil = now + Math.min(maxMs, baseMs * 2 ** (extra - 1));
+      }
+      failures.set(key, entry);
+    },
+
+    succeed(key) {
+      failures.delete(key);
+    },
+  };
+}
@@ -0,0 +1,156 @@
+/****************************************************
+ * INFORME DE SANITIZACIÓN: ¿QUÉ SE HA QUITADO?
+ ****************************************************/
+
+/*
+  sanitize-html devuelve el HTML limpio, pero no dice
+  QUÉ ha eliminado. Para poder explicárselo al usuario
+  ("tu <img onerror> ha desaparecido porque...") recorremos
+  el HTML original con el mismo parser (htmlparser2) y
+  comparamos cada etiqueta y atributo con la política.
+
+  Cada hallazgo lleva su posición [start, end) en el HTML
+  de entrada, para poder resaltarlo en el cliente.
+*/
+
+import { Parser } from "htmlparser2";
+import { COMMENT_POLICY } from "../public/shared/sanitizePolicy.mjs";
+
+/*
+  Etiquetas cuyo CONTENIDO también se elimina
+  (los valores por defecto de sanitize-html, más svg y math,
+  que sanitizeHtmlOptions descarta enteras).
+*/
+const NON_TEXT_TAGS = ["script", "style", "textarea", "option", "xmp", "svg", "math"];
+
+/*
+  Esquema de una URL tal y como lo ve el navegador:
+  se ignoran espacios y caracteres de control ("java\tscript:").
+  Devuelve null si la URL es relativa.
+*/
+function urlScheme(url) {
+  // \x00-\x20: caracteres de control (tab, salto de línea...) y espacio
+  const clean = String(url).replace(/[\x00-\x20]+/g, "");
+  const match = clean.match(/^([a-zA-Z][a-zA-Z0-9.\-+]*):/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/*
+  Posición aproximada de un atributo dentro de su etiqueta:
+  buscamos el nombre en el texto de la etiqueta original.
+*/
+function attributeRange(html, tagStart, tagEnd, name) {
+  const tagText = html.slice(tagStart, tagEnd).toLowerCase();
+  const re = new RegExp(`[\\s/]${name.replace(/[^a-z0-9-]/g, "")}(?=[\\s=/>])`);
+  const match = re.exec(tagText);
+  if (!match) return { start: tagStart, end: tagEnd };
+
+  const start = tagStart + match.index + 1;
+  // Hasta el siguiente espacio fuera de comillas (o el final de la etiqueta)
+  const rest = html.slice(start, tagEnd);
+  const value = rest.match(/^[^\s=>]+(\s*=\s*("[^"]*"|'[^']*'|[^\s>]*))?/);
+  return { start, end: start + (value ? value[0].length : name.length) };
+}
+
+/*
+  auditSanitization(html, policy)
+  -------------------------------
+  Devuelve:
+  - removedTags:        etiquetas no permitidas
+                        (contentRemoved: true si se borra también su contenido)
+  - droppedAttributes:  atributos eliminados o reescritos, con el motivo
+  - rejectedUrls:       URLs con esquema no permitido (javascript:, data:...)
+  - changed:            true si hay algún hallazgo
+*/
+export function auditSanitization(html, policy = COMMENT_POLICY) {
+  const input = String(html ?? "");
+  const removedTags = [];
+  const droppedAttributes = [];
+  const rejectedUrls = [];
+
+  // Etiquetas abiertas no permitidas (para cerrar su rango al terminar)
+  const open = [];
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      const start = parser.startIndex;
+      const end = parser.endIndex + 1;
+
+      if (!policy.tags.includes(name)) {
+        const entry = {
+          tag: name,
+          start,
+          end,
+          contentRemoved: NON_TEXT_TAGS.includes(name),
+        };
+        removedTags.push(entry);
+        open.push(entry);
+        // Sus atributos desaparecen con ella: no se listan aparte
+        return;
+      }
+
+      const allowed = policy.attributes[name] || [];
+
+      for (const [attribute, value] of Object.entries(attribs)) {
+        const range = attributeRange(input, start, end, attribute);
+
+        if (!allowed.includes(attribute)) {
+          droppedAttributes.push({ tag: name, attribute, value, reason: "not-allowed", ...range });
+          continue;
+        }
+
+        if (policy.urlAttributes.includes(attribute)) {
+          const scheme = urlScheme(value);
+          if (scheme && !policy.schemes.includes(scheme)) {
+            rejectedUrls.push({ tag: name, attribute, url: value, scheme, ...range });
+          }
+        }
+
+        if (name === "a" && attribute === "target" && !policy.targets.includes(value)) {
+          droppedAttributes.push({ tag: name, attribute, value, reason: "target-not-allowed", ...range });
+        }
+
+        if (name === "a" && attribute === "rel" && value !== policy.linkRel) {
+          droppedAttributes.push({ tag: name, attribute, value, reason: "rel-forced", ...range });
+        }
+      }
+    },
+
+    onclosetag(name, isImplied) {
+      if (policy.tags.includes(name)) return;
+
+      const entry = open.findLast((e) => e.tag === name && !e.closed);
+      if (!entry) return;
+      entry.closed = true;
+
+      if (isImplied) return;
+
+      if (entry.contentRemoved) {
+        // Todo el elemento (apertura + contenido + cierre) se borra
+        entry.end = parser.endIndex + 1;
+      } else {
+        removedTags.push({
+          tag: name,
+          start: parser.startIndex,
+          end: parser.endIndex + 1,
+          contentRemoved: false,
+          closing: true,
+        });
+      }
+    },
+  }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true });
+
+  parser.write(input);
+  parser.end();
+
+  removedTags.forEach((e) => delete e.closed);
+  removedTags.sort((a, b) => a.start - b.start);
+
+  return {
+    input,
+    removedTags,
+    droppedAttributes,
+    rejectedUrls,
+    changed: removedTags.length + droppedAttributes.length + rejectedUrls.length > 0,
+  };
+}
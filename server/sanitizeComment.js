@@ -0,0 +1,25 @@
+/****************************************************
+ * SANITIZACIÓN HTML EN SERVIDOR
+ ****************************************************/
+
+/*
+  DEFENSA EN PROFUNDIDAD:
+  Aunque el frontend use DOMPurify,
+  el servidor SIEMPRE debe sanitizar.
+
+  La lista blanca (etiquetas, atributos por etiqueta,
+  esquemas de URL, rel/target de los enlaces) está en
+  public/shared/sanitizePolicy.mjs: la misma que usa DOMPurify.
+
+  Está en su propio módulo para poder comprobarla contra el
+  corpus de payloads sin arrancar el servidor (ver test/).
+*/
+
+import sanitizeHtml from "sanitize-html";
+import { COMMENT_POLICY, sanitizeHtmlOptions } from "../public/shared/sanitizePolicy.mjs";
+
+const commentSanitizeOptions = sanitizeHtmlOptions(COMMENT_POLICY);
+
+export function sanitizeCommentHtml(dirty) {
+  return sanitizeHtml(dirty, commentSanitizeOptions);
+}
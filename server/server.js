@@ -5,22 +5,105 @@
 // Framework web minimalista para Node.js
 import express from "express";
 
-// Middleware para controlar CORS (orígenes permitidos)
-import cors from "cors";
-
 // Middleware de seguridad que añade cabeceras HTTP seguras
 import helmet from "helmet";
 
 // Middleware para leer cookies desde las peticiones
 import cookieParser from "cookie-parser";
 
-// Librería para sanitizar HTML en el servidor
-import sanitizeHtml from "sanitize-html";
+// Números aleatorios seguros y comparaciones en tiempo constante
+import crypto from "crypto";
+
+// Conversión de Markdown a HTML (el resultado se sanitiza después)
+import { marked } from "marked";
 
-// Utilidades para trabajar con rutas y ES Modules
+// Utilidades para trabajar con ficheros, rutas y ES Modules
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
+// Validación compartida con el navegador (mismo esquema y mensajes)
+import {
+  ACCOUNT_SCHEMA,
+  validateField,
+  validateObject,
+} from "../public/shared/validation.mjs";
+
+// Definición del formulario del perfil (JSON) -> esquema de validación
+import {
+  checkFormDefinition,
+  schemaFromForm,
+  htmlFields,
+} from "../public/shared/formSchema.mjs";
+
+// Sanitización del comentario (sanitize-html + política compartida con el navegador)
+import { sanitizeCommentHtml } from "./sanitizeComment.js";
+
+// Análisis de emails (IDN) y forma canónica para detectar duplicados
+import { parseEmail, canonicalEmail } from "../public/shared/email.mjs";
+
+// Lista de dominios de email desechables (fichero editable)
+import { loadDomainBlocklist } from "./disposableDomains.js";
+
+// Comentarios en Markdown: mismas opciones que en el navegador
+import { renderComment, commentToHtml } from "../public/shared/markdown.mjs";
+
+// Informe de lo que elimina la sanitización (etiquetas, atributos, URLs)
+import { auditSanitization } from "./sanitizeAudit.js";
+
+// Corpus de payloads XSS (lo usa el laboratorio)
+import { XSS_CORPUS } from "../public/shared/xssCorpus.mjs";
+
+// Catálogos de mensajes (es, en, ca) y negociación de idioma
+import { t, negotiateLocale } from "../public/shared/i18n.mjs";
+
+// Formato único de los errores de la API ({ ok: false, error: {...} })
+import {
+  sendError,
+  sendFieldErrors,
+  requireBodyType,
+  apiNotFound,
+  apiErrorHandler,
+} from "./apiErrors.js";
+
+// Logs JSON con id de petición y datos personales tapados
+import { logger, requestLogger } from "./logger.js";
+
+// Registro de auditoría (login, logout, perfiles, rechazos)
+import { createAuditLog, AUDIT_MAX_LIMIT } from "./auditLog.js";
+
+// Avatares: subida multipart, comprobación de la imagen y almacenamiento
+import { checkAvatar } from "../public/shared/avatar.mjs";
+import { avatarUpload, uploadError, createAvatarStore, avatarHeaders } from "./avatars.js";
+
+// CORS: lista blanca y políticas por ruta (cors.config.json)
+import { loadCorsConfig, createCorsPolicy } from "./corsPolicy.js";
+
+// Persistencia local en ficheros JSON (server/data/)
+import { createCollection } from "./db.js";
+
+// Sesiones guardadas en servidor (memoria o fichero)
+import {
+  createSessionStore,
+  memoryBackend,
+  fileBackend,
+} from "./sessions.js";
+
+// Hash de contraseñas (scrypt) y política de fortaleza
+import {
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+  DUMMY_HASH,
+} from "./passwords.js";
+
+// Límites de peticiones y bloqueo de login (en memoria)
+import {
+  rateLimits,
+  createLoginLockout,
+  tooManyRequests,
+} from "./rateLimit.js";
+
 /****************************************************
  * CONFIGURACIÓN BÁSICA
  ****************************************************/
@@ -39,10 +122,31 @@ const __dirname = path.dirname(__filename);
 // Carpeta donde está el frontend (HTML, CSS, JS)
 const publicDir = path.join(__dirname, "..", "public");
 
+/*
+  IDENTIFICADOR DE PETICIÓN Y LOG
+  Cada petición recibe un id (req.id y cabecera X-Request-Id).
+  Va en todas las respuestas de error (error.requestId), en el
+  log de la petición y en la auditoría: así se relaciona lo que
+  ve el usuario con lo que pasó en el servidor (ver logger.js).
+*/
+app.use(requestLogger());
+
 /****************************************************
  * OTRAS MEDIDAS DE SEGURIDAD: HELMET
  ****************************************************/
 
+/*
+  NONCE POR PETICIÓN
+  ------------------
+  Número aleatorio que cambia en CADA respuesta.
+  Solo los <script> que lleven nonce="<ese valor>" se ejecutan:
+  un atacante que inyecte un <script> no puede adivinarlo.
+*/
+app.use((req, res, next) => {
+  res.locals.cspNonce = crypto.randomBytes(16).toString("base64");
+  next();
+});
+
 app.use(
   helmet({
     /*
@@ -52,250 +156,761 @@ app.use(
       - Referrer-Policy
       - etc.
 
-      CSP (Content-Security-Policy) la desactivamos
-      para no bloquear el CDN de DOMPurify en esta demo.
+      CSP (Content-Security-Policy): TERCERA capa contra XSS
+      (después del escape y la sanitización).
+      Aunque se cuele HTML malicioso, el navegador se niega a
+      ejecutar scripts que no vengan de nuestro origen + nonce.
     */
-    contentSecurityPolicy: false,
+    contentSecurityPolicy: {
+      useDefaults: false,
+      directives: {
+        "default-src": ["'self'"],
+        // Sin 'unsafe-inline': ni <script> inline ni onerror=...
+        "script-src": [
+          "'self'",
+          (req, res) => `'nonce-${res.locals.cspNonce}'`,
+        ],
+        "style-src": ["'self'"],
+        // blob: para la vista previa del avatar (URL.createObjectURL)
+        "img-src": ["'self'", "blob:"],
+        "connect-src": ["'self'"],
+        "object-src": ["'none'"],
+        "base-uri": ["'none'"],
+        "form-action": ["'self'"],
+        "frame-ancestors": ["'none'"],
+        /*
+          Trusted Types (Chrome/Edge): innerHTML solo acepta
+          valores creados por una "policy" (ver app.js).
+          Los navegadores que no lo soportan lo ignoran.
+          - default:   pasa todo por DOMPurify
+          - dompurify: la de DOMPurify (una sola, compartida por
+                       sus dos instancias: ver purifyPolicy en app.js)
+          - inert:     solo para parsear en documentos inertes (Lab)
+          - safe-html: setHtml / appendHtml (plantillas html``)
+        */
+        "require-trusted-types-for": ["'script'"],
+        "trusted-types": ["default", "dompurify", "inert", "safe-html"],
+        // A dónde manda el navegador las violaciones
+        "report-uri": ["/api/csp-report"],
+      },
+    },
   })
 );
 
 // Permite recibir JSON (limitado a 100 KB)
 app.use(express.json({ limit: "100kb" }));
 
-// Permite leer cookies (req.cookies)
-app.use(cookieParser());
+/*
+  Secreto para FIRMAR cookies (req.signedCookies).
+  En producción debe venir de una variable de entorno;
+  si no existe, se genera uno aleatorio en cada arranque.
+*/
+const COOKIE_SECRET =
+  process.env.COOKIE_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Permite leer cookies (req.cookies y req.signedCookies)
+app.use(cookieParser(COOKIE_SECRET));
 
 /****************************************************
- * CORS CONTROLADO DESDE SERVIDOR
+ * IDIOMA DE LAS RESPUESTAS (Accept-Language)
  ****************************************************/
 
 /*
-  Lista BLANCA de orígenes permitidos.
-  Muy importante cuando se usan cookies (credentials).
+  El navegador envía sus idiomas preferidos:
+    Accept-Language: ca-ES,ca;q=0.9,en;q=0.8
+  Elegimos el mejor que tengamos (es, en, ca) y dejamos
+  req.t(código) para traducir los mensajes de error.
 */
-const ALLOWED_ORIGINS = new Set([
-  "http://localhost:3000",
-  "http://127.0.0.1:3000",
-]);
+app.use((req, res, next) => {
+  req.locale = negotiateLocale(req.get("Accept-Language"));
+  req.t = (code, params) => t(req.locale, code, params);
+
+  res.set("Content-Language", req.locale);
+  res.vary("Accept-Language"); // las cachés no deben mezclar idiomas
+  next();
+});
+
+/*
+  Respuestas de error: sendError y sendFieldErrors (ver apiErrors.js)
+  con CÓDIGO estable + texto traducido + requestId.
+*/
+
+/****************************************************
+ * TIPO DE CONTENIDO DE LAS PETICIONES
+ ****************************************************/
+
+/*
+  Las rutas de /api solo aceptan cuerpos JSON (415 si no).
+  Excepciones:
+  - el navegador envía los informes CSP con sus propios tipos
+    (ver INFORMES DE VIOLACIONES CSP)
+  - la subida del avatar es multipart/form-data (ver AVATARES)
+*/
+const CSP_REPORT_TYPES = ["application/csp-report", "application/reports+json", "application/json"];
 
 app.use(
-  cors({
-    origin: (origin, cb) => {
-      /*
-        origin undefined:
-        - Peticiones same-origin
-        - curl / Postman
-      */
-      if (!origin) return cb(null, true);
-
-      // Solo permitimos los orígenes de la lista blanca
-      if (ALLOWED_ORIGINS.has(origin)) return cb(null, true);
-
-      // Cualquier otro origen se rechaza
-      return cb(new Error("CORS: origen no permitido"));
+  "/api",
+  requireBodyType(["application/json"], {
+    byPath: {
+      "/csp-report": CSP_REPORT_TYPES,
+      "/profile/avatar": ["multipart/form-data"],
     },
-
-    // Necesario para que el navegador envíe cookies
-    credentials: true,
   })
 );
 
+/****************************************************
+ * CORS CONTROLADO DESDE SERVIDOR
+ ****************************************************/
+
+/*
+  Lista BLANCA de orígenes y políticas por ruta en
+  cors.config.json (ver corsPolicy.js). Muy importante
+  cuando se usan cookies (credentials).
+
+  Un origen, método o cabecera no permitidos -> 403 JSON
+  (antes de llegar a la ruta: no hay efectos secundarios).
+*/
+const corsPolicy = createCorsPolicy(loadCorsConfig());
+
+app.use(
+  corsPolicy.middleware((req, res, failed) =>
+    sendError(req, res, 403, failed.code, failed.params, { check: failed.check })
+  )
+);
+
+/*
+  DIAGNÓSTICO: ¿se permitiría esta combinación?
+    GET /api/cors/debug?origin=https://a.com&method=PUT
+                       &headers=content-type,x-csrf-token
+                       &path=/api/profiles/123
+  Sin parámetros se usa la propia petición (su Origin, GET...).
+  Devuelve cada comprobación con su explicación y las
+  cabeceras que enviaría el servidor.
+*/
+app.get("/api/cors/debug", (req, res) => {
+  const query = {
+    origin: req.query.origin ? String(req.query.origin) : req.get("Origin"),
+    method: String(req.query.method || "GET").toUpperCase(),
+    path: String(req.query.path || "/api/profile"),
+    headers: String(req.query.headers || "")
+      .split(",")
+      .map((h) => h.trim().toLowerCase())
+      .filter(Boolean),
+  };
+  const selfOrigin = `${req.protocol}://${req.get("host")}`;
+
+  // Con cabeceras o un método no simple, el navegador haría preflight
+  const preflight = query.headers.length > 0 || !["GET", "HEAD", "POST"].includes(query.method);
+  const decision = corsPolicy.evaluate({ ...query, selfOrigin });
+
+  res.json({
+    ok: true,
+    allowed: decision.allowed,
+    crossOrigin: decision.crossOrigin,
+    preflight,
+    request: { ...query, selfOrigin },
+    route: decision.route.path,
+    checks: decision.checks.map((c) => ({ ...c, message: req.t(c.code, c.params) })),
+    responseHeaders: corsPolicy.responseHeaders(decision, { origin: query.origin, preflight }),
+  });
+});
+
 /****************************************************
  * SERVIR ARCHIVOS ESTÁTICOS (FRONTEND)
  ****************************************************/
 
-// Sirve index.html, styles.css, app.js, etc.
-app.use(express.static(publicDir));
+/*
+  index.html se sirve "a mano" para poner el nonce de CSP
+  en sus <script nonce="__CSP_NONCE__">.
+*/
+const indexTemplate = fs.readFileSync(path.join(publicDir, "index.html"), "utf8");
+
+app.get(["/", "/index.html"], (req, res) => {
+  res.type("html").send(
+    indexTemplate.replaceAll("__CSP_NONCE__", res.locals.cspNonce)
+  );
+});
+
+/*
+  DOMPurify se sirve desde node_modules (mismo origen):
+  sin CDN externo, la CSP puede ser 'self'.
+*/
+app.use(
+  "/vendor/dompurify",
+  express.static(path.join(__dirname, "node_modules", "dompurify", "dist"))
+);
+
+// marked (Markdown -> HTML) para la vista previa del cliente
+app.use(
+  "/vendor/marked",
+  express.static(path.join(__dirname, "node_modules", "marked", "lib"))
+);
+
+// Sirve styles.css, app.js, etc. (index.html ya está servido arriba)
+app.use(express.static(publicDir, { index: false }));
 
 /****************************************************
  * VALIDACIÓN Y LIMPIEZA DE DATOS (SERVIDOR)
  ****************************************************/
 
 /*
-  EXPRESIÓN REGULAR PARA EL NOMBRE
-  --------------------------------
-  /^[A-Za-zÁÉÍÓÚÜÑáéíóúüñ\s]{2,50}$/
+  DEFINICIÓN DEL FORMULARIO
+  Los campos del perfil están en profile-form.json
+  (PROFILE_FORM_FILE=/ruta/form.json para usar otro).
+  El navegador la pide en GET /api/form-schema y el servidor
+  valida con el esquema que sale de ELLA MISMA: los dos
+  lados no pueden tener campos ni reglas distintos.
+  Si la definición está mal, el servidor NO arranca.
+*/
+const PROFILE_FORM = checkFormDefinition(JSON.parse(fs.readFileSync(
+  process.env.PROFILE_FORM_FILE || path.join(__dirname, "profile-form.json"),
+  "utf8"
+)));
+const PROFILE_SCHEMA = schemaFromForm(PROFILE_FORM);
 
-  ^     -> inicio de la cadena
-  [...] -> conjunto de caracteres permitidos
-  A-Za-z -> letras sin acentos
-  ÁÉÍÓÚÜÑáéíóúüñ -> letras acentuadas y ñ
-  \s    -> espacios en blanco
-  {2,50}-> longitud mínima 2, máxima 50 caracteres
-  $     -> fin de la cadena
+app.get("/api/form-schema", (req, res) => {
+  res.json({ ok: true, form: PROFILE_FORM });
+});
+
+/*
+  Las regex, la limpieza y los mensajes viven en
+  public/shared/validation.mjs: el MISMO módulo que usa
+  el navegador. Aquí solo lo aplicamos al perfil.
 
-  "Ana López"  -> válido
-  "José"       -> válido
-  "Ana123"     -> inválido
-  "<script>"  -> inválido
+  Aunque el cliente ya haya validado, el servidor
+  SIEMPRE vuelve a validar (el cliente se puede saltar).
+
+  Cada error lleva el código de la regla concreta que falla
+  ("email.domainDots", "name.singleScript"...).
 */
-const nameRegex = /^[A-Za-zÁÉÍÓÚÜÑáéíóúüñ\s]{2,50}$/;
+function validateProfile(data, locale) {
+  const result = validateObject(PROFILE_SCHEMA, data, locale);
 
-/*
-  EXPRESIÓN REGULAR PARA EL EMAIL (simplificada)
-  ----------------------------------------------
-  /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
+  // Solo el servidor tiene la lista de dominios desechables
+  if (result.cleaned.email && !result.codes.email && isDisposableEmail(result.cleaned.email)) {
+    result.codes.email = "email.disposable";
+    result.errors.email = t(locale, "email.disposable");
+    result.ok = false;
+  }
 
-  ^           -> inicio
-  [^\s@]+    -> uno o más caracteres que NO sean espacio ni @
-  @           -> símbolo @ obligatorio
-  [^\s@]+    -> dominio (gmail, outlook, etc.)
-  \.          -> punto literal
-  [^\s@]{2,} -> extensión de al menos 2 caracteres (com, es, net)
-  $           -> fin
+  return result;
+}
 
-  ok ana@gmail.com
-  ok user@mail.es
-  x ana@com
-  x ana@@mail.com
+/*
+  DOMINIOS DESECHABLES
+  Lista cargada al arrancar (ver disposableDomains.js).
 */
-const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const disposableDomains = loadDomainBlocklist();
+
+function isDisposableEmail(email) {
+  const parsed = parseEmail(email);
+  return parsed.ok && disposableDomains.has(parsed.asciiDomain);
+}
 
 /*
-  LIMPIEZA BÁSICA DE TEXTO
-  -----------------------
-  - Elimina espacios al inicio y final
-  - Sustituye múltiples espacios por uno solo
+  EMAILS DUPLICADOS
+  Para saber si un email "ya existe" se compara su forma
+  canónica (ver email.mjs): el dominio en ASCII y, para los
+  proveedores indicados, sin puntos ni etiquetas "+...".
+
+  EMAIL_NORMALIZE=gmail -> ana.lopez+x@gmail.com = analopez@gmail.com
+  (por defecto, ningún proveedor)
 */
-function cleanText(str) {
-  return String(str)
-    .trim()
-    .replace(/\s+/g, " ");
+const EMAIL_NORMALIZE = (process.env.EMAIL_NORMALIZE || "")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+function sameEmail(a, b) {
+  return canonicalEmail(a, EMAIL_NORMALIZE) === canonicalEmail(b, EMAIL_NORMALIZE);
 }
 
 /*
-  VALIDACIÓN COMPLETA DEL PERFIL
+  VALIDACIÓN DE CREDENCIALES (registro / login)
+  - El email se normaliza IGUAL que en el perfil
+  - La contraseña NO se limpia (los espacios cuentan)
+  - checkStrength: solo en el registro se aplica la política
+    (y se rechazan los dominios desechables)
+
+  Devuelve errores como códigos: { campo: código | { code, params } }
 */
-function validateProfile({ name, email, comment }) {
+function validateCredentials({ email, password }, { checkStrength = false } = {}) {
   const errors = {};
 
-  // Limpieza y normalización
-  const n = cleanText(name ?? "");
-  const e = cleanText(email ?? "").toLowerCase();
-  const c = String(comment ?? "");
-
-  // Validación nombre
-  if (!n) {
-    errors.name = "Nombre obligatorio";
-  } else if (!nameRegex.test(n)) {
-    errors.name = "Nombre inválido (solo letras y espacios, 2-50)";
-  }
+  // Mismas reglas y códigos que el email del perfil
+  const vEmail = validateField(ACCOUNT_SCHEMA, "email", email);
+  const e = vEmail.value;
+  const pwd = String(password ?? "");
 
-  // Validación email
-  if (!e) {
-    errors.email = "Email obligatorio";
-  } else if (!emailRegex.test(e)) {
-    errors.email = "Email inválido";
-  }
+  if (!vEmail.ok) errors.email = vEmail.code;
+  else if (checkStrength && isDisposableEmail(e)) errors.email = "email.disposable";
 
-  // Validación comentario (solo longitud)
-  if (c.length > 500) {
-    errors.comment = "Comentario demasiado largo (máx. 500)";
+  if (checkStrength) {
+    const err = checkPasswordStrength(pwd, e);
+    if (err) errors.password = err;
+  } else if (!pwd) {
+    errors.password = "password.required";
   }
 
   return {
     ok: Object.keys(errors).length === 0,
-    cleaned: { name: n, email: e, comment: c },
+    cleaned: { email: e, password: pwd },
     errors,
   };
 }
 
 /****************************************************
- * SANITIZACIÓN HTML EN SERVIDOR
+ * PROTECCIÓN CSRF (DOUBLE-SUBMIT COOKIE FIRMADA)
  ****************************************************/
 
 /*
-  DEFENSA EN PROFUNDIDAD:
-  Aunque el frontend use DOMPurify,
-  el servidor SIEMPRE debe sanitizar.
-*/
-function sanitizeCommentHtml(dirty) {
-  return sanitizeHtml(dirty, {
-    // Etiquetas permitidas
-    allowedTags: [
-      "b", "i", "em", "strong", "u",
-      "p", "br",
-      "ul", "ol", "li",
-      "code", "pre",
-      "a"
-    ],
-
-    // Atributos permitidos por etiqueta
-    allowedAttributes: {
-      a: ["href", "target", "rel"]
-    },
+  CSRF: otra web hace que el navegador de la víctima envíe
+  un POST a nuestra API. El navegador adjunta la cookie "sid"
+  automáticamente... pero NO puede adjuntar una cabecera propia.
+
+  Esquema "double-submit":
+  1) GET /api/csrf-token -> genera un token aleatorio,
+     lo guarda en una cookie FIRMADA y lo devuelve en el JSON
+  2) El cliente lo envía en la cabecera X-CSRF-Token
+     en cada petición que cambia estado (POST, PUT, PATCH, DELETE)
+  3) El servidor comprueba que cabecera y cookie coinciden
+
+  La firma impide que un atacante "plante" su propia cookie csrf.
+*/
+const CSRF_COOKIE = "csrf";
+const CSRF_HEADER = "x-csrf-token";
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
 
-    // Evita javascript:, data:, etc.
-    allowedSchemes: ["http", "https", "mailto"]
+app.get("/api/csrf-token", (req, res) => {
+  // Reutilizamos el token si ya hay uno válido
+  const token =
+    req.signedCookies[CSRF_COOKIE] ||
+    crypto.randomBytes(32).toString("base64url");
+
+  res.cookie(CSRF_COOKIE, token, {
+    httpOnly: true,   // el cliente usa el valor del JSON, no la cookie
+    sameSite: "lax",
+    secure: false,    // true SOLO con HTTPS
+    signed: true
   });
+
+  res.json({ ok: true, csrfToken: token });
+});
+
+// Comparación en tiempo constante de dos strings
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
 }
 
+/*
+  Rutas que NO llevan token:
+  - /csp-report: la llama el propio navegador, sin cabeceras nuestras
+*/
+const CSRF_EXEMPT = new Set(["/csp-report"]);
+
+app.use("/api", (req, res, next) => {
+  if (SAFE_METHODS.has(req.method) || CSRF_EXEMPT.has(req.path)) return next();
+
+  const cookieToken = req.signedCookies[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || !safeEqual(cookieToken, headerToken)) {
+    return sendError(req, res, 403, "csrf.invalid");
+  }
+
+  next();
+});
+
+/****************************************************
+ * LIMITACIÓN DE PETICIONES (RATE LIMITING)
+ ****************************************************/
+
+/*
+  Límites por ruta. Cada ruta puede limitar:
+  - ip:      por dirección IP
+  - session: por sesión (solo si hay sesión iniciada)
+
+  Se aplican en la propia ruta: app.post(ruta, ...limiters.x, handler)
+*/
+const RATE_LIMITS = {
+  login: {
+    ip: { limit: 10, windowMs: 60 * 1000 },
+  },
+  register: {
+    ip: { limit: 5, windowMs: 60 * 60 * 1000 },
+  },
+  profile: {
+    ip: { limit: 30, windowMs: 60 * 1000 },
+    session: { limit: 10, windowMs: 60 * 1000 },
+  },
+  cspReport: {
+    ip: { limit: 60, windowMs: 60 * 1000 },
+  },
+  lab: {
+    ip: { limit: 20, windowMs: 60 * 1000 },
+  },
+};
+
+const limiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS).map(([route, config]) =>
+    [route, rateLimits(route, config)]
+  )
+);
+
+// Bloqueo progresivo tras varios logins fallidos
+const loginLockout = createLoginLockout();
+
 /****************************************************
  * COOKIES HTTPONLY (AUTENTICACIÓN)
  ****************************************************/
 
-app.post("/api/login", (req, res) => {
-  // Simulamos una sesión
-  const fakeSessionId =
-    "sess_" + Math.random().toString(36).slice(2);
+/*
+  Sesiones guardadas en el servidor (ver sessions.js).
+  SESSION_STORE=file -> sobreviven a un reinicio
+  (por defecto, en memoria)
+*/
+const sessions = createSessionStore({
+  backend: process.env.SESSION_STORE === "file"
+    ? fileBackend()
+    : memoryBackend(),
+});
 
-  res.cookie("sid", fakeSessionId, {
-    httpOnly: true,   // JS no puede leerla
-    sameSite: "lax",  // protección CSRF básica
-    secure: false,    // true SOLO con HTTPS
-    maxAge: 1000 * 60 * 30 // 30 minutos
-  });
+const SESSION_COOKIE = "sid";
 
-  res.json({
-    ok: true,
-    msg: "Login correcto (cookie httpOnly creada)"
-  });
+// Opciones de la cookie de sesión
+const sessionCookieOptions = {
+  httpOnly: true,   // JS no puede leerla
+  sameSite: "lax",  // protección CSRF básica
+  secure: false,    // true SOLO con HTTPS
+  maxAge: sessions.absoluteMs // nunca vive más que la sesión
+};
+
+/*
+  Middleware: si la cookie apunta a una sesión válida,
+  la deja en req.session. Si no, req.session = null.
+*/
+app.use("/api", (req, res, next) => {
+  req.session = sessions.touch(req.cookies[SESSION_COOKIE]);
+
+  // Cookie de una sesión inexistente o caducada: la borramos
+  if (!req.session && req.cookies[SESSION_COOKIE]) {
+    res.clearCookie(SESSION_COOKIE);
+  }
+  next();
 });
 
-app.get("/api/whoami", (req, res) => {
-  const sid = req.cookies.sid;
+// Resumen de la sesión que se puede enseñar al cliente (sin el id)
+function publicSession(session) {
+  return {
+    user: session.user,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(sessions.expiresAt(session)).toISOString(),
+  };
+}
 
-  if (!sid) {
-    return res.status(401).json({
-      ok: false,
-      error: "No autenticado"
+/*
+  CUENTAS DE USUARIO
+  Se guardan en server/data/users.json con la contraseña HASHEADA.
+*/
+const users = createCollection("users");
+
+/*
+  AUDITORÍA
+  Eventos de login, logout y perfiles en server/data/audit.jsonl
+  (ver auditLog.js). Se consulta en GET /api/audit.
+*/
+const audit = createAuditLog();
+
+app.post("/api/register", ...limiters.register, async (req, res, next) => {
+  try {
+    const { ok, cleaned, errors } =
+      validateCredentials(req.body || {}, { checkStrength: true });
+
+    if (!ok) {
+      return sendFieldErrors(req, res, 400, errors);
+    }
+
+    if (users.find((u) => sameEmail(u.email, cleaned.email))) {
+      return sendFieldErrors(req, res, 409, { email: "account.emailTaken" }, "account.emailTaken");
+    }
+
+    const user = users.insert({
+      email: cleaned.email,
+      passwordHash: await hashPassword(cleaned.password),
+    });
+    audit.record(req, "auth.register", { userId: user.id, email: user.email });
+
+    res.status(201).json({
+      ok: true,
+      msg: req.t("account.created"),
+      user: { id: user.id, email: user.email }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/api/login", ...limiters.login, async (req, res, next) => {
+  try {
+    const { ok, cleaned, errors } = validateCredentials(req.body || {});
+
+    if (!ok) {
+      return sendFieldErrors(req, res, 400, errors);
+    }
+
+    // Misma comparación que el registro (ver sameEmail).
+    // Se busca ya aquí para apuntar los fallos a la cuenta atacada
+    // (userId): así aparecen en SU auditoría (GET /api/audit).
+    const account = users.find((u) => sameEmail(u.email, cleaned.email));
+
+    // ¿Demasiados fallos seguidos desde esta IP para este email?
+    // (forma canónica: ana.lopez@ y analopez@ cuentan como el mismo)
+    const lockKey = `${req.ip}|${canonicalEmail(cleaned.email, EMAIL_NORMALIZE)}`;
+    const lockedFor = loginLockout.retryAfterSeconds(lockKey);
+    if (lockedFor > 0) {
+      audit.record(req, "auth.loginFailed", {
+        userId: account?.id,
+        email: cleaned.email,
+        reason: "locked",
+      });
+      return tooManyRequests(res, lockedFor);
+    }
+
+    /*
+      Siempre verificamos un hash (aunque el email no exista)
+      y devolvemos el MISMO error en ambos casos:
+      así no se puede averiguar qué emails tienen cuenta.
+    */
+    const valid = await verifyPassword(
+      cleaned.password,
+      account ? account.passwordHash : DUMMY_HASH
+    );
+
+    if (!account || !valid) {
+      loginLockout.fail(lockKey);
+      audit.record(req, "auth.loginFailed", {
+        userId: account?.id,
+        email: cleaned.email,
+        reason: account ? "badPassword" : "unknownEmail",
+      });
+      return sendFieldErrors(req, res, 401,
+        { password: "auth.invalidCredentials" }, "auth.invalidCredentials");
+    }
+
+    loginLockout.succeed(lockKey);
+    const user = { id: account.id, email: account.email };
+
+    // ROTACIÓN: la sesión anterior (si la hay) se destruye
+    const session = sessions.create(user, req.cookies[SESSION_COOKIE]);
+
+    res.cookie(SESSION_COOKIE, session.id, sessionCookieOptions);
+    audit.record(req, "auth.login", { userId: user.id, email: user.email });
+
+    res.json({
+      ok: true,
+      msg: req.t("auth.loginOk"),
+      session: publicSession(session)
     });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/api/whoami", (req, res) => {
+  if (!req.session) {
+    return sendError(req, res, 401, "auth.required");
   }
 
   res.json({
     ok: true,
-    sessionIdSeenByServer: sid
+    ...publicSession(req.session)
   });
 });
 
 app.post("/api/logout", (req, res) => {
-  res.clearCookie("sid");
-  res.json({ ok: true, msg: "Logout correcto" });
+  if (req.session) audit.record(req, "auth.logout");
+
+  // Revocamos la sesión en el servidor, no solo en el navegador
+  sessions.destroy(req.cookies[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok: true, msg: req.t("auth.logoutOk") });
 });
 
 /****************************************************
- * ENDPOINT PERFIL: VALIDAR + SANITIZAR
+ * ENDPOINT PERFIL: VALIDAR + SANITIZAR + GUARDAR
  ****************************************************/
 
-app.post("/api/profile", (req, res) => {
-  const { ok, cleaned, errors } =
-    validateProfile(req.body || {});
+/*
+  Los perfiles se guardan en server/data/profiles.json
+  (ver db.js). TODA escritura pasa por el mismo camino:
+  validateProfile -> sanitizeCommentHtml -> colección.
+*/
+const profiles = createCollection("profiles");
+
+// Campos con sanitize "html" en la definición (el comentario)
+const richFields = htmlFields(PROFILE_FORM);
+
+/*
+  Prepara el documento a guardar a partir de datos YA validados:
+  todos los campos de la definición y, por cada campo html,
+  el original y el sanitizado:
+  - comment: lo que escribió el usuario (para re-sanitizar si cambia la política)
+  - format: "html" | "markdown" (para volver a renderizarlo más adelante)
+  - commentSanitized: lo único que se debe pintar como HTML
+*/
+function toProfileDoc(cleaned) {
+  const doc = { ...cleaned };
+  for (const field of richFields) {
+    doc[`${field.name}Sanitized`] = renderComment(cleaned[field.name], cleaned[field.format] ?? "html", {
+      marked,
+      sanitize: sanitizeCommentHtml,
+    });
+  }
+  return doc;
+}
+
+/*
+  Informe de sanitización del comentario (el primer campo html):
+  qué etiquetas, atributos y URLs se han eliminado y en qué
+  posición. Las posiciones son sobre report.input (en Markdown,
+  el HTML generado, no el texto original).
+  null si el formulario no tiene campos html.
+*/
+function sanitizeReportFor(cleaned) {
+  const [field] = richFields;
+  if (!field) return null;
+  return auditSanitization(commentToHtml(cleaned[field.name], cleaned[field.format] ?? "html", marked));
+}
+
+/*
+  Auditoría de un perfil guardado: el evento (created/updated)
+  y, si la sanitización quitó algo, "profile.sanitized" con
+  QUÉ quitó (nombres de etiquetas y atributos, no el contenido).
+*/
+function auditProfileSaved(req, type, saved, report) {
+  audit.record(req, type, { profileId: saved.id, email: saved.email });
+
+  if (report?.changed) {
+    audit.record(req, "profile.sanitized", {
+      profileId: saved.id,
+      removedTags: report.removedTags.map((r) => r.tag),
+      droppedAttributes: report.droppedAttributes.map((r) => `${r.tag}[${r.attribute}]`),
+      rejectedUrls: report.rejectedUrls.map((r) => r.scheme),
+    });
+  }
+}
+
+/*
+  Comprueba que el email no lo use OTRO perfil
+  (comparando la forma canónica, ver sameEmail).
+  En la actualización se excluye el propio id.
+  Los perfiles antiguos sin dueño (de cuando se podía guardar
+  sin sesión) no reservan su email: nadie puede demostrar que
+  es suyo.
+*/
+function emailTaken(email, exceptId = null) {
+  return Boolean(
+    email &&
+    profiles.find((p) => p.ownerId && sameEmail(p.email, email) && p.id !== exceptId)
+  );
+}
+
+/*
+  Valida, comprueba que el email es el de la cuenta y que no
+  lo usa otro perfil, y responde el error adecuado.
+  Solo se llama con sesión (POST exige sesión; PUT/PATCH, dueño),
+  así que cada "profile.rejected" queda a nombre de ese usuario.
+  Devuelve los datos limpios o null si ya se respondió con error.
+*/
+function checkProfile(req, res, data, exceptId = null) {
+  const { ok, cleaned, errors, codes } = validateProfile(data, req.locale);
 
   if (!ok) {
-    return res.status(400).json({ ok: false, errors });
+    // Mensajes ya traducidos por validateObject (conservan sus {params})
+    const fields = Object.fromEntries(
+      Object.keys(codes).map((field) => [field, { code: codes[field], message: errors[field] }])
+    );
+    audit.record(req, "profile.rejected", { profileId: exceptId, codes });
+    sendFieldErrors(req, res, 400, fields);
+    return null;
   }
 
-  // Sanitizamos HTML del comentario
-  const commentSanitized =
-    sanitizeCommentHtml(cleaned.comment);
+  // El email del perfil es el de la cuenta: nadie "reserva" el de otro
+  if (!sameEmail(cleaned.email, req.session.user.email)) {
+    audit.record(req, "profile.rejected", {
+      profileId: exceptId,
+      codes: { email: "profile.emailNotYours" },
+    });
+    sendFieldErrors(req, res, 403, { email: "profile.emailNotYours" }, "profile.emailNotYours");
+    return null;
+  }
 
-  res.json({
+  if (emailTaken(cleaned.email, exceptId)) {
+    audit.record(req, "profile.rejected", {
+      profileId: exceptId,
+      codes: { email: "profile.emailTaken" },
+    });
+    sendFieldErrors(req, res, 409, { email: "profile.emailTaken" }, "profile.emailTaken");
+    return null;
+  }
+
+  return cleaned;
+}
+
+/*
+  Perfil que puede leer o modificar quien hace la petición:
+  - sin sesión                       -> 401
+  - no existe                        -> 404
+  - sin dueño (perfiles antiguos, de cuando se podía guardar
+    sin sesión)                      -> 403 (nadie puede tocarlo)
+  - de otro usuario                  -> 403
+  Devuelve el perfil o null si ya se respondió con error.
+  TODA ruta que lee, cambia o borra un perfil pasa por aquí
+  (también el avatar y el borrado de comentarios del muro);
+  codes cambia los mensajes de 404/403 de cada ruta.
+*/
+function ownedProfile(req, res, id, codes = {}) {
+  const { notFound = "profile.notFound", notOwner = "profile.notOwner" } = codes;
+
+  if (!req.session) {
+    sendError(req, res, 401, "auth.required");
+    return null;
+  }
+
+  const profile = profiles.get(String(id ?? ""));
+  if (!profile) {
+    sendError(req, res, 404, notFound);
+    return null;
+  }
+
+  if (!profile.ownerId || profile.ownerId !== req.session.user.id) {
+    sendError(req, res, 403, notOwner);
+    return null;
+  }
+
+  return profile;
+}
+
+app.post("/api/profile", ...limiters.profile, (req, res) => {
+  // Solo con sesión: el perfil queda ligado a la cuenta (ownerId)
+  if (!req.session) {
+    return sendError(req, res, 401, "auth.required");
+  }
+
+  const cleaned = checkProfile(req, res, req.body || {});
+  if (!cleaned) return;
+
+  // ownerId: el usuario que lo crea (el único que puede cambiarlo o borrarlo)
+  const saved = profiles.insert({ ...toProfileDoc(cleaned), ownerId: req.session.user.id });
+  const sanitizeReport = sanitizeReportFor(cleaned);
+  auditProfileSaved(req, "profile.created", saved, sanitizeReport);
+
+  res.status(201).json({
     ok: true,
-    saved: {
-      name: cleaned.name,
-      email: cleaned.email,
-      commentSanitized
-    },
+    saved,
+    sanitizeReport,
     notes: [
       "Validación y sanitización también se hacen en servidor",
       "Nunca confíes solo en el frontend"
@@ -303,10 +918,435 @@ app.post("/api/profile", (req, res) => {
   });
 });
 
+/*
+  Listado de perfiles guardados: solo los PROPIOS.
+  Llevan email y el comentario original: nunca se enseñan
+  a otros usuarios (el muro público es /api/comments).
+*/
+app.get("/api/profiles", (req, res) => {
+  if (!req.session) {
+    return sendError(req, res, 401, "auth.required");
+  }
+
+  const userId = req.session.user.id;
+  res.json({ ok: true, profiles: profiles.all().filter((p) => p.ownerId === userId) });
+});
+
+app.get("/api/profiles/:id", (req, res) => {
+  const profile = ownedProfile(req, res, req.params.id);
+  if (!profile) return;
+
+  res.json({ ok: true, profile });
+});
+
+/*
+  PUT: sustitución completa.
+  Los campos que falten se validan como vacíos
+  (igual que si se enviaran desde el formulario).
+*/
+app.put("/api/profiles/:id", ...limiters.profile, (req, res) => {
+  if (!ownedProfile(req, res, req.params.id)) return;
+
+  const cleaned = checkProfile(req, res, req.body || {}, req.params.id);
+  if (!cleaned) return;
+
+  const saved = profiles.update(req.params.id, toProfileDoc(cleaned));
+  const sanitizeReport = sanitizeReportFor(cleaned);
+  auditProfileSaved(req, "profile.updated", saved, sanitizeReport);
+
+  res.json({ ok: true, saved, sanitizeReport });
+});
+
+/*
+  PATCH: actualización parcial.
+  Mezclamos lo guardado con lo recibido y validamos
+  el resultado COMPLETO (nunca guardamos a medias).
+*/
+app.patch("/api/profiles/:id", ...limiters.profile, (req, res) => {
+  const current = ownedProfile(req, res, req.params.id);
+  if (!current) return;
+
+  const body = req.body || {};
+  const merged = Object.fromEntries(
+    PROFILE_FORM.fields.map(({ name }) => [name, body[name] ?? current[name]])
+  );
+
+  const cleaned = checkProfile(req, res, merged, req.params.id);
+  if (!cleaned) return;
+
+  const saved = profiles.update(req.params.id, toProfileDoc(cleaned));
+  const sanitizeReport = sanitizeReportFor(cleaned);
+  auditProfileSaved(req, "profile.updated", saved, sanitizeReport);
+
+  res.json({ ok: true, saved, sanitizeReport });
+});
+
+app.delete("/api/profiles/:id", (req, res) => {
+  const profile = ownedProfile(req, res, req.params.id);
+  if (!profile) return;
+
+  profiles.remove(profile.id);
+  if (profile.avatar) avatars.remove(profile.avatar.file);
+  audit.record(req, "profile.deleted", { profileId: req.params.id });
+
+  res.json({ ok: true, msg: req.t("profile.deleted") });
+});
+
+/****************************************************
+ * AVATARES: SUBIDA Y DESCARGA
+ ****************************************************/
+
+/*
+  Ver avatars.js (almacenamiento) y public/shared/avatar.mjs
+  (magic bytes y dimensiones, lo mismo que comprueba el cliente).
+  El perfil guarda solo los datos del fichero:
+    avatar: { file, url, type, width, height, size }
+*/
+const avatars = createAvatarStore();
+
+// Status de cada error de checkAvatar (el resto, 400)
+const AVATAR_STATUS = {
+  "avatar.tooLarge": 413,
+  "avatar.svgNotAllowed": 415,
+  "avatar.unsupportedType": 415,
+  "avatar.typeMismatch": 415,
+};
+
+function rejectAvatar(req, res, status, code, params = {}) {
+  audit.record(req, "profile.avatarRejected", { profileId: req.query.profileId ?? null, code });
+  return sendError(req, res, status, code, params);
+}
+
+/*
+  POST /api/profile/avatar?profileId=...
+  El id va en la URL (no en el multipart) para comprobar la
+  sesión y el dueño ANTES de que multer lea el fichero.
+*/
+app.post("/api/profile/avatar", ...limiters.profile, (req, res, next) => {
+  const profile = ownedProfile(req, res, req.query.profileId);
+  if (!profile) return;
+
+  avatarUpload(req, res, (err) => {
+    if (err) {
+      const known = uploadError(err);
+      return known ? rejectAvatar(req, res, known.status, known.code, known.params) : next(err);
+    }
+
+    if (!req.file) return rejectAvatar(req, res, 400, "avatar.required");
+
+    // El nombre original (req.file.originalname) NO se usa para nada
+    const check = checkAvatar({
+      bytes: req.file.buffer,
+      declaredType: req.file.mimetype,
+      size: req.file.size,
+    });
+    if (!check.ok) {
+      return rejectAvatar(req, res, AVATAR_STATUS[check.code] ?? 400, check.code, check.params);
+    }
+
+    /*
+      "profile" se leyó ANTES de recibir el fichero: mientras
+      llegaba, otra petición pudo borrar el perfil o cambiarle el
+      avatar. Se vuelve a leer y, desde aquí hasta el update, todo
+      es síncrono (nadie más puede tocarlo en medio).
+    */
+    const current = profiles.get(profile.id);
+    if (!current) return rejectAvatar(req, res, 404, "profile.notFound");
+
+    const file = avatars.save(req.file.buffer, check.ext);
+    const avatar = {
+      file,
+      url: `/api/avatars/${file}`,
+      type: check.type,
+      width: check.width,
+      height: check.height,
+      size: req.file.size,
+    };
+
+    let saved;
+    try {
+      saved = profiles.update(current.id, { avatar });
+    } catch (updateErr) {
+      // Sin perfil que lo apunte, el fichero nuevo sobra
+      avatars.remove(file);
+      return next(updateErr);
+    }
+
+    // El avatar anterior (el guardado justo antes del update) ya no lo usa nadie
+    if (current.avatar) avatars.remove(current.avatar.file);
+
+    audit.record(req, "profile.avatarUpdated", { profileId: profile.id, type: check.type, size: req.file.size });
+    res.status(201).json({ ok: true, msg: req.t("avatar.saved"), avatar, saved });
+  });
+});
+
+app.get("/api/avatars/:file", (req, res) => {
+  const found = avatars.read(req.params.file);
+  if (!found) return sendError(req, res, 404, "avatar.notFound");
+
+  res.set(avatarHeaders(found.type, req.params.file)).send(found.buffer);
+});
+
+/****************************************************
+ * MURO DE COMENTARIOS (PÚBLICO)
+ ****************************************************/
+
+/*
+  GET /api/comments?page=1&pageSize=10&author=ana&sort=newest
+  Los comentarios (sanitizados) de TODOS los perfiles: es el
+  caso real de XSS almacenado, HTML de un usuario que ven otros.
+
+  - Solo se envía lo que se pinta: autor, HTML sanitizado,
+    formato, avatar y fechas (nunca el email ni el original)
+  - own: true si el comentario es del usuario con sesión
+  - author: filtra por nombre (contiene, sin mayúsculas)
+  - sort: newest | oldest (por fecha de creación)
+
+  DELETE /api/comments/:id (id del perfil)
+  Solo con sesión y solo el dueño (ownerId), con la misma
+  comprobación que PUT/PATCH/DELETE de /api/profiles/:id
+  (ownedProfile). Vacía el comentario; el perfil se queda.
+*/
+const COMMENT_SORTS = ["newest", "oldest"];
+const COMMENTS_MAX_PAGE_SIZE = 50;
+
+// El comentario es el primer campo html (como en sanitizeReportFor)
+const [commentField] = richFields;
+
+const commentOf = (profile) =>
+  commentField ? String(profile[`${commentField.name}Sanitized`] ?? "").trim() : "";
+
+const foldName = (text) => String(text).normalize("NFC").toLocaleLowerCase();
+
+app.get("/api/comments", (req, res) => {
+  const { page = "1", pageSize = "10", author = "", sort = "newest" } = req.query;
+
+  const errors = {};
+  const pageNumber = Number(page);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    errors.page = "comments.invalidPage";
+  }
+  const size = Number(pageSize);
+  if (!Number.isInteger(size) || size < 1 || size > COMMENTS_MAX_PAGE_SIZE) {
+    errors.pageSize = { code: "comments.invalidPageSize", params: { max: COMMENTS_MAX_PAGE_SIZE } };
+  }
+  if (!COMMENT_SORTS.includes(sort)) {
+    errors.sort = { code: "comments.invalidSort", params: { allowed: COMMENT_SORTS.join(", ") } };
+  }
+  if (Object.keys(errors).length) {
+    return sendFieldErrors(req, res, 400, errors);
+  }
+
+  const needle = foldName(author).trim();
+  const userId = req.session?.user.id;
+
+  const matches = profiles
+    .all()
+    .filter((profile) => commentOf(profile) && foldName(profile.name ?? "").includes(needle))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt) * (sort === "newest" ? -1 : 1));
+
+  const comments = matches
+    .slice((pageNumber - 1) * size, pageNumber * size)
+    .map((profile) => ({
+      id: profile.id,
+      author: profile.name,
+      html: commentOf(profile),
+      format: profile[commentField.format] ?? "html",
+      avatarUrl: profile.avatar?.url ?? null,
+      createdAt: profile.createdAt,
+      updatedAt: profile.updatedAt,
+      own: Boolean(userId && profile.ownerId === userId),
+    }));
+
+  res.json({
+    ok: true,
+    page: pageNumber,
+    pageSize: size,
+    total: matches.length,
+    totalPages: Math.ceil(matches.length / size),
+    sort,
+    comments,
+  });
+});
+
+app.delete("/api/comments/:id", ...limiters.profile, (req, res) => {
+  const profile = ownedProfile(req, res, req.params.id, {
+    notFound: "comments.notFound",
+    notOwner: "comments.notOwner",
+  });
+  if (!profile) return;
+
+  if (!commentOf(profile)) {
+    return sendError(req, res, 404, "comments.notFound");
+  }
+
+  profiles.update(profile.id, {
+    [commentField.name]: "",
+    [`${commentField.name}Sanitized`]: "",
+  });
+  audit.record(req, "comment.deleted", { profileId: profile.id });
+
+  res.json({ ok: true, msg: req.t("comments.deleted") });
+});
+
+/****************************************************
+ * LABORATORIO XSS: CORPUS DE ATAQUES
+ ****************************************************/
+
+/*
+  Pasa el corpus de payloads (public/shared/xssCorpus.mjs)
+  por sanitizeCommentHtml y devuelve la salida de cada uno.
+  El cliente la compara con "expected" y con DOMPurify.
+
+  Se pueden añadir payloads propios (body.payloads),
+  con límites para que no sirva para saturar el servidor.
+*/
+const LAB_MAX_CUSTOM = 20;
+const LAB_MAX_PAYLOAD = 2000;
+
+app.post("/api/lab/run", ...limiters.lab, (req, res) => {
+  const custom = req.body?.payloads ?? [];
+
+  if (
+    !Array.isArray(custom) ||
+    custom.length > LAB_MAX_CUSTOM ||
+    custom.some((p) => typeof p !== "string" || p.length > LAB_MAX_PAYLOAD)
+  ) {
+    return sendFieldErrors(req, res, 400, {
+      payloads: {
+        code: "lab.payloadsInvalid",
+        params: { max: LAB_MAX_CUSTOM, maxLength: LAB_MAX_PAYLOAD },
+      },
+    });
+  }
+
+  const cases = [
+    ...XSS_CORPUS,
+    ...custom.map((payload, i) => ({
+      id: `custom-${i + 1}`,
+      category: "propio",
+      payload,
+      expected: null, // sin salida esperada: solo se compara cliente/servidor
+    })),
+  ];
+
+  res.json({
+    ok: true,
+    results: cases.map((c) => ({
+      ...c,
+      server: sanitizeCommentHtml(c.payload),
+    })),
+  });
+});
+
+/****************************************************
+ * INFORMES DE VIOLACIONES CSP
+ ****************************************************/
+
+/*
+  Cuando la CSP bloquea algo, el navegador hace un POST
+  a /api/csp-report con el detalle. Así vemos los ataques
+  (o nuestros propios errores de configuración).
+
+  Se guardan en memoria, solo los últimos MAX_CSP_REPORTS.
+  Se consultan en GET /api/csp-reports, solo con sesión:
+  llevan las URLs de las páginas (document-uri) y de lo bloqueado.
+*/
+const MAX_CSP_REPORTS = 100;
+const cspReports = [];
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// El navegador NO envía application/json sino estos tipos (CSP_REPORT_TYPES)
+const cspReportParser = express.json({
+  limit: "10kb",
+  type: CSP_REPORT_TYPES,
+});
+
+app.post("/api/csp-report", ...limiters.cspReport, cspReportParser, (req, res) => {
+  /*
+    Dos formatos:
+    - report-uri: { "csp-report": { ... } }
+    - report-to:  [ { type: "csp-violation", body: { ... } } ]
+  */
+  const body = req.body || {};
+  // JSON válido no es un informe válido: [null], [1], {"csp-report": "x"}...
+  const incoming = Array.isArray(body)
+    ? body.filter(isPlainObject).map((r) => r.body)
+    : [body["csp-report"]];
+
+  for (const report of incoming.filter(isPlainObject)) {
+    cspReports.push({ receivedAt: new Date().toISOString(), report });
+  }
+  cspReports.splice(0, cspReports.length - MAX_CSP_REPORTS);
+
+  // 204: el navegador no necesita respuesta
+  res.status(204).end();
+});
+
+app.get("/api/csp-reports", (req, res) => {
+  if (!req.session) {
+    return sendError(req, res, 401, "auth.required");
+  }
+
+  res.json({ ok: true, reports: cspReports });
+});
+
+/****************************************************
+ * AUDITORÍA: CONSULTA
+ ****************************************************/
+
+/*
+  GET /api/audit?type=auth&requestId=...&since=...&until=...&limit=50
+  Solo con sesión y solo los eventos PROPIOS (userId de la
+  sesión): los de otros usuarios llevan sus IPs y sus emails.
+  Devuelve los más recientes primero (ya sin contraseñas y
+  con los emails enmascarados).
+*/
+app.get("/api/audit", (req, res) => {
+  if (!req.session) {
+    return sendError(req, res, 401, "auth.required");
+  }
+
+  // userId NO se acepta en la query: siempre el de la sesión
+  const { type, requestId, since, until, limit = "100" } = req.query;
+  const userId = req.session.user.id;
+
+  const errors = {};
+  for (const [field, value] of Object.entries({ since, until })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      errors[field] = "audit.invalidDate";
+    }
+  }
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > AUDIT_MAX_LIMIT) {
+    errors.limit = { code: "audit.invalidLimit", params: { max: AUDIT_MAX_LIMIT } };
+  }
+  if (Object.keys(errors).length) {
+    return sendFieldErrors(req, res, 400, errors);
+  }
+
+  res.json({ ok: true, ...audit.query({ type, userId, requestId, since, until, limit: max }) });
+});
+
+/****************************************************
+ * ERRORES: RUTAS INEXISTENTES Y FALLOS
+ ****************************************************/
+
+/*
+  Van al FINAL: solo llega aquí lo que ninguna ruta ha atendido.
+  - /api/lo-que-sea que no existe -> 404 JSON
+  - errores lanzados (JSON mal formado, cuerpo enorme, bugs...)
+    -> JSON con el status adecuado (ver apiErrors.js)
+*/
+app.use("/api", apiNotFound);
+app.use(apiErrorHandler);
+
 /****************************************************
  * ARRANQUE DEL SERVIDOR
  ****************************************************/
 
 app.listen(PORT, () => {
-  console.log(`Servidor en http://localhost:${PORT}`);
+  logger.info("server started", { url: `http://localhost:${PORT}` });
 });
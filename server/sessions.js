@@ -0,0 +1,136 @@
+/****************************************************
+ * SESIONES EN SERVIDOR
+ ****************************************************/
+
+/*
+  La cookie "sid" solo lleva un identificador ALEATORIO.
+  Los datos de la sesión (usuario, fechas) viven en el servidor.
+
+  Reglas:
+  - id con 32 bytes de crypto.randomBytes (NO Math.random)
+  - caducidad por inactividad (idle) y absoluta
+  - al hacer login se ROTA el id (evita "session fixation")
+  - al hacer logout se borra en el servidor (no solo la cookie)
+*/
+
+import crypto from "crypto";
+import path from "path";
+import { DATA_DIR, readJsonFile, writeJsonFile } from "./db.js";
+
+/****************************************************
+ * BACKENDS (dónde se guardan las sesiones)
+ ****************************************************/
+
+/*
+  Todos los backends tienen la misma forma:
+  get(id), set(id, session), delete(id), entries()
+*/
+
+// En memoria: se pierden al reiniciar el servidor
+export function memoryBackend() {
+  const map = new Map();
+  return {
+    get: (id) => map.get(id) ?? null,
+    set: (id, session) => void map.set(id, session),
+    delete: (id) => void map.delete(id),
+    entries: () => [...map.entries()],
+  };
+}
+
+// En fichero JSON: sobreviven a un reinicio
+export function fileBackend(file = path.join(DATA_DIR, "sessions.json")) {
+  const map = new Map(Object.entries(readJsonFile(file, {})));
+  const persist = () => writeJsonFile(file, Object.fromEntries(map));
+  return {
+    get: (id) => map.get(id) ?? null,
+    set: (id, session) => { map.set(id, session); persist(); },
+    delete: (id) => { if (map.delete(id)) persist(); },
+    entries: () => [...map.entries()],
+  };
+}
+
+/****************************************************
+ * ALMACÉN DE SESIONES
+ ****************************************************/
+
+/*
+  createSessionStore(options)
+  - backend:    memoryBackend() | fileBackend()
+  - idleMs:     tiempo máximo sin actividad
+  - absoluteMs: vida máxima desde el login
+  - touchIntervalMs: cada cuánto se guarda lastSeenAt como mucho
+    (fileBackend reescribe el fichero entero en cada set: sin
+    esto, CADA petición con sesión escribiría en disco)
+*/
+export function createSessionStore({
+  backend = memoryBackend(),
+  idleMs = 1000 * 60 * 30,         // 30 minutos
+  absoluteMs = 1000 * 60 * 60 * 8, // 8 horas
+  touchIntervalMs = 1000 * 60,     // 1 minuto
+} = {}) {
+  const newId = () => crypto.randomBytes(32).toString("base64url");
+
+  const isExpired = (s, now) =>
+    now - s.lastSeenAt > idleMs || now - s.createdAt > absoluteMs;
+
+  // Fecha en la que caducará (la que llegue antes)
+  const expiresAt = (s) =>
+    Math.min(s.lastSeenAt + idleMs, s.createdAt + absoluteMs);
+
+  // Borra las sesiones caducadas
+  function purge(now = Date.now()) {
+    for (const [id, s] of backend.entries()) {
+      if (isExpired(s, now)) backend.delete(id);
+    }
+  }
+
+  return {
+    idleMs,
+    absoluteMs,
+    expiresAt,
+
+    /*
+      Crea una sesión nueva para "user".
+      Si llega oldId (cookie anterior), se destruye: ROTACIÓN.
+    */
+    create(user, oldId = null) {
+      if (oldId) backend.delete(oldId);
+      purge();
+
+      const now = Date.now();
+      const id = newId();
+      const session = { user, createdAt: now, lastSeenAt: now };
+      backend.set(id, session);
+      return { id, ...session };
+    },
+
+    /*
+      Devuelve la sesión si existe y no ha caducado,
+      actualizando lastSeenAt (renueva la caducidad por inactividad).
+      Solo se guarda si han pasado touchIntervalMs desde la última
+      vez: la sesión puede caducar hasta ese tiempo antes, a cambio
+      de no escribir en cada petición.
+    */
+    touch(id) {
+      if (!id) return null;
+      const s = backend.get(id);
+      if (!s) return null;
+
+      const now = Date.now();
+      if (isExpired(s, now)) {
+        backend.delete(id);
+        return null;
+      }
+
+      if (now - s.lastSeenAt < touchIntervalMs) return { id, ...s };
+
+      const session = { ...s, lastSeenAt: now };
+      backend.set(id, session);
+      return { id, ...session };
+    },
+
+    destroy(id) {
+      if (id) backend.delete(id);
+    },
+  };
+}
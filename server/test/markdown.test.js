@@ -0,0 +1,77 @@
+/****************************************************
+ * TEST: COMENTARIOS EN MARKDOWN
+ ****************************************************/
+
+/*
+  Lo que genera marked a partir de Markdown tiene que
+  sobrevivir a los DOS sanitizadores (COMMENT_POLICY):
+  títulos, citas, separadores, tachado, tablas y código.
+  Y el HTML "crudo" escrito dentro del Markdown se limpia
+  igual que en el formato html.
+
+  Ejecutar: npm test (en server/)
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import createDOMPurify from "dompurify";
+import { marked } from "marked";
+import { renderComment } from "../../public/shared/markdown.mjs";
+import { COMMENT_POLICY, domPurifyConfig } from "../../public/shared/sanitizePolicy.mjs";
+import { sanitizeCommentHtml } from "../sanitizeComment.js";
+
+const { window } = new JSDOM("");
+const purifier = createDOMPurify(window);
+const purifyConfig = domPurifyConfig(purifier, COMMENT_POLICY);
+
+const SANITIZERS = {
+  "servidor (sanitize-html)": sanitizeCommentHtml,
+  "cliente (DOMPurify)": (html) => purifier.sanitize(html, purifyConfig),
+};
+
+// Igual que en xssCorpus.test.js: se compara HTML ya parseado
+const normalizeHtml = (html) =>
+  new window.DOMParser().parseFromString(html, "text/html").body.innerHTML.trim();
+
+const CASES = [
+  {
+    name: "títulos",
+    source: "# Uno\n### Tres\n###### Seis",
+    expected: "<h1>Uno</h1>\n<h3>Tres</h3>\n<h6>Seis</h6>",
+  },
+  {
+    name: "cita",
+    source: "> citado",
+    expected: "<blockquote>\n<p>citado</p>\n</blockquote>",
+  },
+  {
+    name: "separador y tachado",
+    source: "antes\n\n---\n\n~~no~~",
+    expected: "<p>antes</p>\n<hr>\n<p><del>no</del></p>",
+  },
+  {
+    name: "bloque de código (sin la clase del lenguaje)",
+    source: "```js\nalert(1)\n```",
+    expected: "<pre><code>alert(1)\n</code></pre>",
+  },
+  {
+    name: "tabla de GFM (sin align)",
+    source: "| a |\n| :-: |\n| b |",
+    expected: "<table>\n<thead>\n<tr>\n<th>a</th>\n</tr>\n</thead>\n<tbody><tr>\n<td>b</td>\n</tr>\n</tbody></table>",
+  },
+  {
+    name: "HTML crudo dentro del Markdown",
+    source: "# Hola <img src=x onerror=alert(1)>\n\n<script>alert(1)</script>",
+    expected: "<h1>Hola </h1>",
+  },
+];
+
+for (const c of CASES) {
+  for (const [side, sanitize] of Object.entries(SANITIZERS)) {
+    test(`${c.name} - ${side}`, () => {
+      const out = renderComment(c.source, "markdown", { marked, sanitize });
+      assert.equal(normalizeHtml(out), normalizeHtml(c.expected));
+    });
+  }
+}
@@ -0,0 +1,42 @@
+/****************************************************
+ * TEST: PARIDAD DE SANITIZADORES CON EL CORPUS XSS
+ ****************************************************/
+
+/*
+  Cada payload de xssCorpus.mjs pasa por los DOS sanitizadores
+  y ambos deben dar una salida equivalente a "expected":
+  - servidor: sanitizeCommentHtml (sanitize-html)
+  - cliente:  DOMPurify con domPurifyConfig, la misma
+              configuración que sanitizeUserHtml en app.js
+              (en Node, sobre una ventana de jsdom)
+
+  "Equivalente" = igual tras pasar por el parser HTML, como en
+  el Lab (<br /> = <br>, un <a> dentro de otro se cierra...).
+
+  Ejecutar: npm test (en server/)
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import createDOMPurify from "dompurify";
+import { XSS_CORPUS } from "../../public/shared/xssCorpus.mjs";
+import { COMMENT_POLICY, domPurifyConfig } from "../../public/shared/sanitizePolicy.mjs";
+import { sanitizeCommentHtml } from "../sanitizeComment.js";
+
+const { window } = new JSDOM("");
+const purifier = createDOMPurify(window);
+const purifyConfig = domPurifyConfig(purifier, COMMENT_POLICY);
+
+// Como normalizeHtml del Lab: lo que queda tras parsearlo el "navegador"
+const normalizeHtml = (html) =>
+  new window.DOMParser().parseFromString(html, "text/html").body.innerHTML;
+
+for (const c of XSS_CORPUS) {
+  test(`${c.id} (${c.category})`, () => {
+    const expected = normalizeHtml(c.expected);
+
+    assert.equal(normalizeHtml(sanitizeCommentHtml(c.payload)), expected, "servidor (sanitize-html)");
+    assert.equal(normalizeHtml(purifier.sanitize(c.payload, purifyConfig)), expected, "cliente (DOMPurify)");
+  });
+}